@@ -1,35 +1,495 @@
-import { App, Plugin, TFile, TFolder, Setting, PluginSettingTab, FuzzySuggestModal, FuzzyMatch, TAbstractFile } from 'obsidian';
+import { App, Plugin, TFile, TFolder, Setting, PluginSettingTab, FuzzySuggestModal, FuzzyMatch, TAbstractFile, Notice, Modal, DropdownComponent, normalizePath, ItemView, WorkspaceLeaf, debounce, getFrontMatterInfo, parseYaml, stringifyYaml, Editor, EditorPosition, EditorSuggest, EditorSuggestContext, EditorSuggestTriggerInfo } from 'obsidian';
+
+type NoteType = 'daily' | 'weekly' | 'monthly' | 'quarterly' | 'yearly';
+
+// Week numbering systems: ISO 8601 (Monday start, week with January 4th is week 1),
+// US (Sunday start, week containing January 1st is week 1) and fiscal (week containing
+// the configured fiscal year start is week 1).
+type WeekNumbering = 'iso' | 'us' | 'fiscal';
+
+// What happens to rolled-over tasks in the previous daily note.
+type RolloverOriginalAction = 'keep' | 'remove' | 'mark';
+
+// Whether a note is created automatically on startup and when its day or week begins,
+// and whether it is opened as well.
+type AutoCreateMode = 'off' | 'create' | 'open';
+
+// How often the plugin checks whether a new day or week has begun.
+const AUTO_CREATE_CHECK_INTERVAL_MS = 60 * 1000;
+
+const NOTE_TYPES: NoteType[] = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+
+const NOTE_TYPE_LABELS: Record<NoteType, string> = {
+    daily: 'Daily',
+    weekly: 'Weekly',
+    monthly: 'Monthly',
+    quarterly: 'Quarterly',
+    yearly: 'Yearly',
+};
+
+// Where the week tag of a new note goes.
+type WeekTagLocation = 'body' | 'frontmatter';
+
+// What a generated frontmatter property is filled with.
+type GeneratedPropertyValue = 'date' | 'weekday' | 'week' | 'week_year' | 'weekly_note' | 'previous' | 'next' | 'text';
+
+const GENERATED_PROPERTY_LABELS: Record<GeneratedPropertyValue, string> = {
+    date: 'Date',
+    weekday: 'Weekday',
+    week: 'Week number',
+    week_year: 'Week year',
+    weekly_note: 'Link to weekly note',
+    previous: 'Link to previous note',
+    next: 'Link to next note',
+    text: 'Text with placeholders',
+};
+
+// A frontmatter property added to every new note.
+interface GeneratedProperty {
+    name: string;
+    value: GeneratedPropertyValue;
+    format: string; // Date format for date/weekday, template text for text; unused for the others
+}
+
+// Conditions a template rule can test a note's date against.
+type TemplateRuleCondition = 'weekday' | 'first_weekday_of_month' | 'last_week_of_quarter' | 'date_range' | 'holiday';
+
+const TEMPLATE_RULE_CONDITION_LABELS: Record<TemplateRuleCondition, string> = {
+    weekday: 'Weekday is',
+    first_weekday_of_month: 'First weekday of month',
+    last_week_of_quarter: 'Last week of quarter',
+    date_range: 'Date is in range',
+    holiday: 'Date is listed in file',
+};
+
+// A template used instead of the note type's default when its condition matches.
+interface TemplateRule {
+    noteType: NoteType;
+    condition: TemplateRuleCondition;
+    value: string; // Weekdays, date range or holidays file path, depending on the condition
+    templatePath: string;
+}
+
+/**
+ * A date accepted by the public API: a Date (its local calendar day is used, like
+ * `new Date(2026, 9, 19)`), or text such as "2026-10-19", "2026-W43", "today" or "next friday".
+ */
+export type ApiDateInput = Date | string;
+
+/**
+ * Payload of the `daily-weekly-notes:note-created` and `daily-weekly-notes:note-opened`
+ * workspace events. The date is the first day of the note's period, at local midnight.
+ */
+export interface NoteEvent {
+    file: TFile;
+    noteType: NoteType;
+    date: Date;
+    profile: string; // Name of the profile the note belongs to
+}
+
+/**
+ * Public API for other plugins and scripts, available as
+ * `app.plugins.plugins['daily-weekly-notes'].api`. Dates it returns are at local midnight.
+ */
+export interface DailyWeeklyNotesApi {
+    /** Returns the path the note of a type and date has (or would have), e.g. "Calendar/2026-10-19.md". */
+    getNotePath(noteType: NoteType, date?: ApiDateInput): string;
+    /** Returns the existing note of a type and date, including renamed or archived notes, or null. */
+    getNote(noteType: NoteType, date?: ApiDateInput): TFile | null;
+    /** Returns the note of a type and date, creating it from its template first if needed. */
+    createNote(noteType: NoteType, date?: ApiDateInput, options?: { open?: boolean }): Promise<TFile>;
+    /** Returns the week a date falls in, following the Week Numbering setting. */
+    getWeekInfo(date?: ApiDateInput): { week: number; weekYear: number; start: Date; end: Date };
+    /** Formats a date with the plugin's date tokens and locale, e.g. "dddd, MMMM Do". */
+    formatDate(date: ApiDateInput, format: string): string;
+}
+
+/**
+ * The plugin's `api` object. Its note functions use the active profile; forProfile() returns
+ * the same functions bound to a named profile.
+ */
+export interface DailyWeeklyNotesPluginApi extends DailyWeeklyNotesApi {
+    /** Returns the names of all profiles. */
+    profiles(): string[];
+    /** Returns the API of the profile with this name, or null if there is none. */
+    forProfile(name: string): DailyWeeklyNotesApi | null;
+}
+
+// Prefix of the workspace events the plugin triggers.
+const EVENT_PREFIX = 'daily-weekly-notes';
 
 // Define the structure for plugin settings
 interface WeeklyNotePluginSettings {
     calendarFolderPath: string;
+    // Optional per-type folders with date tokens (e.g. Journal/Daily/YYYY/MM); empty uses calendarFolderPath
+    dailyFolderFormat: string;
+    weeklyFolderFormat: string;
+    monthlyFolderFormat: string;
+    quarterlyFolderFormat: string;
+    yearlyFolderFormat: string;
     weeklyTemplatePath: string;
     dailyTemplatePath: string;
     dailyFileNameFormat: string;
     dailyDateFormat: string; // Setting for Daily Date Format
     addWeekTag: boolean;
     weekTagPrefix: string;
+    weekTagLocation: WeekTagLocation;
     addWeekProperty: boolean;
     weekPropertyName: string;
+    generatedProperties: GeneratedProperty[]; // Extra frontmatter properties merged into new notes
     fileNameFormat: string;
     weekStartDateFormat: string;
+    monthlyTemplatePath: string;
+    monthlyFileNameFormat: string;
+    quarterlyTemplatePath: string;
+    quarterlyFileNameFormat: string;
+    yearlyTemplatePath: string;
+    yearlyFileNameFormat: string;
+    periodDateFormat: string; // Format for {{period_start}} and {{period_end}}
+    locale: string; // Language for month and weekday names
+    weekNumbering: WeekNumbering;
+    fiscalYearStart: string; // MM-DD, only used for fiscal week numbering
+    fiscalWeekStartDay: number; // 0 for Sunday, 1 for Monday
+    dayStartHour: number; // Hour (0-23) a new day starts at; earlier times still count as the previous day
+    timeZone: string; // IANA timezone that decides what "today" is; empty uses the system timezone
+    skipMissingOnNavigate: boolean; // Previous/next commands jump to the nearest existing note
+    addDailyNoteLinks: boolean; // New daily notes link to the previous day, their week and the next day
+    enableDateSuggest: boolean; // Typing @today, @monday, @week, ... offers a link to the note
+    dailyAutoCreate: AutoCreateMode;
+    weeklyAutoCreate: AutoCreateMode;
+    indexFolders: string; // Comma-separated folders searched for existing notes; empty uses the note folders
+    indexDateProperty: string; // Frontmatter property that identifies a note's period (e.g. 2026-10-19 or 2026-W43)
+    previousFileNameFormats: string; // Earlier filename formats, one "type: format" per line
+    rolloverTasks: boolean; // Copy unfinished tasks from the previous daily note into a new one
+    rolloverHeading: string; // Heading the tasks go under when the template has no {{rollover}}
+    rolloverOriginalAction: RolloverOriginalAction;
+    rolloverSkipHeadings: string; // Comma-separated headings whose tasks are not rolled over
+    rollupHighlightsHeading: string; // Heading copied from each daily note into the weekly rollup
+    templateRules: TemplateRule[]; // Checked in order; the first match overrides the default template
+}
+
+// One independent set of notes with its own settings
+interface NoteProfileConfig {
+    id: string; // Stable, used in command ids
+    name: string;
+    settings: WeeklyNotePluginSettings;
+}
+
+// What the plugin saves to data.json
+interface PluginData {
+    profiles: NoteProfileConfig[];
+    activeProfileId: string;
 }
 
+// Id of the profile that settings saved before profiles existed are migrated into
+const DEFAULT_PROFILE_ID = 'default';
+
 // Define default settings
 const DEFAULT_SETTINGS: WeeklyNotePluginSettings = {
     calendarFolderPath: 'Calendar',
+    dailyFolderFormat: '',
+    weeklyFolderFormat: '',
+    monthlyFolderFormat: '',
+    quarterlyFolderFormat: '',
+    yearlyFolderFormat: '',
     weeklyTemplatePath: 'Templates/Weekly Template.md',
     dailyTemplatePath: 'Templates/Daily Template.md',
     dailyFileNameFormat: 'YYYY-MM-DD.md',
     dailyDateFormat: 'YYYY-MM-DD',
     addWeekTag: false,
     weekTagPrefix: 'week-',
+    weekTagLocation: 'body',
     addWeekProperty: false,
     weekPropertyName: 'week',
+    generatedProperties: [],
     fileNameFormat: 'WO{{woy}}.md',
     weekStartDateFormat: 'YYYY-MM-DD',
+    monthlyTemplatePath: 'Templates/Monthly Template.md',
+    monthlyFileNameFormat: '{{year}}-{{month}}.md',
+    quarterlyTemplatePath: 'Templates/Quarterly Template.md',
+    quarterlyFileNameFormat: '{{year}}-Q{{quarter}}.md',
+    yearlyTemplatePath: 'Templates/Yearly Template.md',
+    yearlyFileNameFormat: '{{year}}.md',
+    periodDateFormat: 'YYYY-MM-DD',
+    locale: 'en',
+    weekNumbering: 'iso',
+    fiscalYearStart: '01-01',
+    fiscalWeekStartDay: 1,
+    dayStartHour: 0,
+    timeZone: '',
+    skipMissingOnNavigate: false,
+    addDailyNoteLinks: false,
+    enableDateSuggest: true,
+    dailyAutoCreate: 'off',
+    weeklyAutoCreate: 'off',
+    indexFolders: '',
+    indexDateProperty: '',
+    previousFileNameFormats: '',
+    rolloverTasks: false,
+    rolloverHeading: '## Tasks',
+    rolloverOriginalAction: 'keep',
+    rolloverSkipHeadings: '',
+    rollupHighlightsHeading: '## Highlights',
+    templateRules: [],
 };
 
+// Matches an incomplete Markdown task, capturing its indentation.
+const INCOMPLETE_TASK_REGEX = /^(\s*)(?:[-*+]|\d+[.)]) \[ \]/;
+
+// Matches a completed Markdown task.
+const COMPLETED_TASK_REGEX = /^\s*(?:[-*+]|\d+[.)]) \[[xX]\]/;
+
+// Markers around the generated weekly rollup, so refreshing only rewrites that block.
+const ROLLUP_START_MARKER = '<!-- daily-weekly-notes:week-days:start -->';
+const ROLLUP_END_MARKER = '<!-- daily-weekly-notes:week-days:end -->';
+
+// Markers around a notes report inserted into a weekly note.
+const REPORT_START_MARKER = '<!-- daily-weekly-notes:report:start -->';
+const REPORT_END_MARKER = '<!-- daily-weekly-notes:report:end -->';
+
+// View type of the calendar sidebar.
+const VIEW_TYPE_CALENDAR = 'daily-weekly-notes-calendar';
+
+// How each note type's period is written in the note index and the Date Property,
+// e.g. 2026-10-19, 2026-W43, 2026-10, 2026-Q4 and 2026.
+const PERIOD_KEY_FORMATS: Record<NoteType, string> = {
+    daily: 'YYYY-MM-DD',
+    weekly: 'gggg-[W]ww',
+    monthly: 'YYYY-MM',
+    quarterly: 'YYYY-[Q]Q',
+    yearly: 'YYYY',
+};
+
+// Upper bound on the number of notes a single batch creation can cover.
+const MAX_BATCH_NOTES = 1000;
+
+// How far the previous/next commands search for an existing note before giving up
+// (counted in periods of the note type, e.g. days for daily notes and weeks for weekly notes).
+const MAX_NAVIGATION_STEPS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds a calendar date. Every note date in the plugin is a calendar day stored as midnight
+ * UTC and read with the getUTC* methods, so it means the same day in every timezone and
+ * adding DAY_MS never crosses a daylight saving change. Month and day overflow like Date.UTC.
+ */
+function calendarDate(year: number, month: number, day: number): Date {
+    return new Date(Date.UTC(year, month, day));
+}
+
+/**
+ * Tells whether a timezone name is understood by Intl, e.g. "Europe/Berlin".
+ */
+function isValidTimeZone(timeZone: string): boolean {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Tells whether Intl has month and weekday names for a locale, e.g. "fr-CA".
+ */
+function isSupportedLocale(locale: string): boolean {
+    try {
+        return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Reads a month and day written as MM-DD, e.g. "02-01" for February 1st.
+ * @returns The month (0-indexed) and day, or null if the text is not a valid day of the year.
+ */
+function parseMonthDay(value: string): { month: number; day: number } | null {
+    const match = /^(\d{1,2})-(\d{1,2})$/.exec(value);
+    if (!match) {
+        return null;
+    }
+    const month = parseInt(match[1], 10) - 1;
+    const day = parseInt(match[2], 10);
+    if (month < 0 || month > 11 || day < 1 || day > new Date(Date.UTC(2021, month + 1, 0)).getUTCDate()) {
+        return null;
+    }
+    return { month, day };
+}
+
+// Values the settings tab offers for settings that are not free text; imports must stay within them.
+const ALLOWED_SETTING_VALUES: Partial<Record<keyof WeeklyNotePluginSettings, readonly (string | number)[]>> = {
+    weekNumbering: ['iso', 'us', 'fiscal'],
+    weekTagLocation: ['body', 'frontmatter'],
+    rolloverOriginalAction: ['keep', 'remove', 'mark'],
+    dailyAutoCreate: ['off', 'create', 'open'],
+    weeklyAutoCreate: ['off', 'create', 'open'],
+    fiscalWeekStartDay: [0, 1],
+    dayStartHour: Array.from({ length: 24 }, (_, hour) => hour),
+};
+
+// Free-text settings the plugin only falls back from at run time; imports must pass these checks.
+const SETTING_TEXT_CHECKS: Partial<Record<keyof WeeklyNotePluginSettings, { isValid: (value: string) => boolean; hint: string }>> = {
+    timeZone: { isValid: value => value === '' || isValidTimeZone(value), hint: 'an IANA timezone such as "Europe/Berlin", or "" for the system timezone' },
+    fiscalYearStart: { isValid: value => parseMonthDay(value) !== null, hint: 'a month and day as MM-DD, e.g. "02-01"' },
+    locale: { isValid: value => value === '' || isSupportedLocale(value), hint: 'a supported language such as "en", "de" or "fr-CA"' },
+};
+
+/**
+ * Checks the items of an imported generatedProperties or templateRules list.
+ * @returns One message per problem.
+ */
+function checkImportedListItems(key: 'generatedProperties' | 'templateRules', items: Record<string, unknown>[]): string[] {
+    const problems: string[] = [];
+    items.forEach((item, index) => {
+        const fields: [string, readonly string[] | null][] = key === 'generatedProperties'
+            ? [['name', null], ['value', Object.keys(GENERATED_PROPERTY_LABELS)], ['format', null]]
+            : [['noteType', NOTE_TYPES], ['condition', Object.keys(TEMPLATE_RULE_CONDITION_LABELS)], ['value', null], ['templatePath', null]];
+        for (const [field, allowed] of fields) {
+            const value = item[field];
+            if (typeof value !== 'string' || (allowed && !allowed.includes(value))) {
+                problems.push(`"${key}" item ${index + 1} has an invalid "${field}": ${JSON.stringify(value)}.`);
+            }
+        }
+    });
+    return problems;
+}
+
+/**
+ * Reads settings exported from the settings tab. Keys the plugin does not know are ignored and
+ * missing keys get their defaults, so exports from older or newer versions can be imported.
+ * @param json The exported JSON.
+ * @returns The complete settings.
+ * @throws If the text is not a JSON object, or a setting has the wrong type or a value the
+ * settings tab does not allow. The message names the settings concerned.
+ */
+function parseSettingsJson(json: string): WeeklyNotePluginSettings {
+    let data: unknown;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`This is not valid JSON: ${(error as Error).message}`);
+    }
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        throw new Error('Expected a JSON object with settings.');
+    }
+
+    const values = data as Record<string, unknown>;
+    const problems: string[] = [];
+    for (const key of Object.keys(DEFAULT_SETTINGS) as (keyof WeeklyNotePluginSettings)[]) {
+        if (!(key in values)) {
+            continue;
+        }
+        const expected = DEFAULT_SETTINGS[key];
+        const value = values[key];
+        const valid = Array.isArray(expected)
+            ? Array.isArray(value) && value.every(item => typeof item === 'object' && item !== null)
+            : typeof value === typeof expected;
+        if (!valid) {
+            problems.push(`"${key}" should be ${Array.isArray(expected) ? 'a list' : `a ${typeof expected}`}.`);
+            continue;
+        }
+        const allowed = ALLOWED_SETTING_VALUES[key];
+        if (allowed && !allowed.includes(value as string | number)) {
+            const options = allowed.length > 2 && typeof allowed[0] === 'number'
+                ? `a whole number from ${allowed[0]} to ${allowed[allowed.length - 1]}`
+                : `one of ${allowed.map(option => JSON.stringify(option)).join(', ')}`;
+            problems.push(`"${key}" cannot be ${JSON.stringify(value)}; use ${options}.`);
+        }
+        const textCheck = SETTING_TEXT_CHECKS[key];
+        if (textCheck && !textCheck.isValid(value as string)) {
+            problems.push(`"${key}" cannot be ${JSON.stringify(value)}; use ${textCheck.hint}.`);
+        }
+        if (key === 'generatedProperties' || key === 'templateRules') {
+            problems.push(...checkImportedListItems(key, value as Record<string, unknown>[]));
+        }
+    }
+    if (problems.length > 0) {
+        throw new Error(problems.join(' '));
+    }
+
+    const imported: Record<string, unknown> = {};
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+        if (key in values) {
+            imported[key] = values[key];
+        }
+    }
+    return Object.assign({}, DEFAULT_SETTINGS, imported);
+}
+
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December"];
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Date placeholders with an inline format in a filename format, e.g. {{date:DD.MM.YYYY}}.
+const FILENAME_DATE_FORMAT_REGEX = /{{(date|wsd|week_start_date|wed|week_end_date|period_start|period_end):([^{}]+)}}/g;
+
+// Characters that are not allowed in filenames on some platforms, or that break links to a note.
+const ILLEGAL_FILENAME_CHARACTERS = /[\\:*?"<>|#^[\]]/g;
+
+// Matches a YYYY-MM-DD date, e.g. in a template rule range or a holidays file.
+const ISO_DATE_REGEX = /(\d{4})-(\d{2})-(\d{2})/g;
+
+// Date fields that can be recovered when reverse-parsing a filename.
+// The week fields follow the configured week numbering, the isoWeek fields always follow ISO 8601.
+type DateField = 'year' | 'shortYear' | 'weekYear' | 'shortWeekYear' | 'isoWeekYear' | 'shortIsoWeekYear'
+    | 'month' | 'monthName' | 'shortMonthName' | 'quarter' | 'dayOfYear' | 'day' | 'weekday' | 'isoWeekday'
+    | 'week' | 'isoWeek';
+
+// Tokens understood by formatDate, longest first so that e.g. MMMM wins over MM.
+// Text inside square brackets is copied literally (e.g. "[Week] W").
+const DATE_TOKENS = ['YYYY', 'YY', 'GGGG', 'GG', 'gggg', 'gg', 'MMMM', 'MMM', 'MM', 'M', 'Q',
+    'DDDD', 'DDD', 'Do', 'DD', 'D', 'dddd', 'ddd', 'WW', 'W', 'ww', 'w', 'E'];
+
+// A date format string split into tokens and literal text.
+// Escaped literals came from [brackets] in the format.
+type DateFormatPart = { token: string } | { literal: string; escaped?: boolean };
+
+// A parsed template: literal text, placeholders and blocks.
+type TemplateNode =
+    | { type: 'text'; text: string }
+    | { type: 'value'; raw: string; name: string; offset: string | null; format: string | null }
+    | { type: 'if'; raw: string; name: string; operator: '==' | '!=' | null; operand: string; then: TemplateNode[]; else: TemplateNode[] }
+    | { type: 'each'; raw: string; name: string; body: TemplateNode[] }
+    | { type: 'include'; raw: string; path: string };
+
+// Values a template can use. Dates keep their default format so {{name:format}} and offsets can reformat them.
+type TemplateScope = { [name: string]: string | { date: Date; format: string } };
+
+// Placeholders filled in after rendering, once the rest of the note is known.
+const DEFERRED_PLACEHOLDERS = ['rollover', 'week_days'];
+
+// How deeply {{include:...}} partials may nest, which also stops circular includes.
+const MAX_INCLUDE_DEPTH = 10;
+
+// How consistently notes were written over a range of days, see NoteProfile.buildNotesReport.
+interface NotesReport {
+    start: Date;
+    end: Date;
+    skipWeekends: boolean;
+    days: number; // Days counted (weekends excluded if skipped)
+    dailyNotes: number; // Counted days that have a daily note
+    missingDays: Date[];
+    missingWeeks: Date[]; // First day of each week without a weekly note
+    currentStreak: number; // Streak running on the last day counted: today, or the report's end if that is earlier
+    endsBeforeToday: boolean; // Whether currentStreak is counted back from the end of the report rather than today
+    longestStreak: { length: number; start: Date | null; end: Date | null };
+    weeks: { start: Date; label: string; dailyNotes: number; days: number; hasWeeklyNote: boolean }[];
+}
+
+// Words that can follow @ to link to a periodic note; week words link to the weekly note.
+const SUGGEST_KEYWORDS = ['today', 'tomorrow', 'yesterday', 'monday', 'tuesday', 'wednesday', 'thursday',
+    'friday', 'saturday', 'sunday', 'week', 'next week', 'last week'];
+
+// Month and weekday names for the configured locale.
+interface LocaleNames {
+    months: string[];
+    monthsShort: string[];
+    weekdays: string[]; // Sunday first, like Date.getDay()
+    weekdaysShort: string[];
+}
+
 // ====================================================================================================
 // Abstract Base Suggester for Paths
 // This class provides common functionality for both folder and file suggesters.
@@ -100,229 +560,4202 @@ class FileSuggester extends AbstractPathSuggester<TFile> {
 }
 
 // ====================================================================================================
-// Plugin Settings Tab Class
-// This class extends PluginSettingTab to create the UI for the plugin settings.
+// Profile Suggester
+// Allows users to pick one of the note profiles.
 // ====================================================================================================
-class WeeklyNoteSettingTab extends PluginSettingTab {
-    plugin: WeeklyNotePlugin;
+class ProfileSuggestModal extends FuzzySuggestModal<NoteProfile> {
+    private profiles: NoteProfile[];
+    private onChoose: (profile: NoteProfile) => void;
 
-    constructor(app: App, plugin: WeeklyNotePlugin) {
-        super(app, plugin);
-        this.plugin = plugin;
+    constructor(app: App, profiles: NoteProfile[], onChoose: (profile: NoteProfile) => void) {
+        super(app);
+        this.profiles = profiles;
+        this.onChoose = onChoose;
+        this.setPlaceholder("Select a profile...");
     }
 
-    // This method is responsible for rendering the settings UI.
-    display(): void {
-        const { containerEl } = this;
+    getItems(): NoteProfile[] {
+        return this.profiles;
+    }
 
-        containerEl.empty(); // Clear existing contents
+    getItemText(profile: NoteProfile): string {
+        return profile.name;
+    }
 
-        containerEl.createEl('h2', { text: 'Daily/Weekly Note Creator Settings' });
+    onChooseItem(profile: NoteProfile): void {
+        this.onChoose(profile);
+    }
+}
 
-        // Setting for Calendar Folder Path
-        let calendarFolderSetting = new Setting(containerEl)
-            .setName('Calendar Folder Path')
-            .setDesc('The path to the folder where daily and weekly notes will be stored (e.g., Calendar).');
+// ====================================================================================================
+// Date Input Modal
+// Lets users type a date (ISO, natural language or ISO week) and opens the matching note.
+// ====================================================================================================
+class DateInputModal extends Modal {
+    profile: NoteProfile;
+    private input: string = '';
+    private noteType: NoteType = 'daily';
+    private chosenNoteType: NoteType = 'daily'; // Picked in the dropdown, restored when the input stops being a week
+    private noteTypeDropdown!: DropdownComponent;
+    private previewEl!: HTMLElement;
+    private onChoose: ((noteType: NoteType, date: Date) => void) | null;
 
-        let calendarFolderTextInput: HTMLInputElement; // Store reference to the input element
+    /**
+     * @param onChoose Called with the chosen note instead of opening it (e.g. to insert a link).
+     */
+    constructor(app: App, profile: NoteProfile, onChoose: ((noteType: NoteType, date: Date) => void) | null = null) {
+        super(app);
+        this.profile = profile;
+        this.onChoose = onChoose;
+    }
 
-        calendarFolderSetting.addText(text => {
-            calendarFolderTextInput = text.inputEl; // Get reference to the actual input element
-            text.setPlaceholder('Enter folder path')
-                .setValue(this.plugin.settings.calendarFolderPath)
-                .onChange(async (value) => {
-                    this.plugin.settings.calendarFolderPath = value;
-                    await this.plugin.saveSettings();
-                });
-        });
+    onOpen(): void {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h2', { text: this.onChoose ? 'Insert Link to Note for Date' : 'Open Note for Date' });
 
-        calendarFolderSetting.addButton(button => {
-            button.setButtonText('Browse')
-                .setCta() // Makes the button visually prominent
-                .onClick(async () => {
-                    const folderSuggester = new FolderSuggester(this.app);
-                    try {
-                        const selectedFolder = await folderSuggester.openAndGetValue();
-                        this.plugin.settings.calendarFolderPath = selectedFolder;
-                        calendarFolderTextInput.value = selectedFolder; // Update the input field
-                        await this.plugin.saveSettings();
-                    } catch (error) {
-                        // User cancelled the selection (e.g., pressed Esc)
-                        console.log('Folder selection cancelled.');
+        new Setting(contentEl)
+            .setName('Date')
+            .setDesc('e.g., 2026-10-23, next friday, in 3 days, last monday or 2026-W43.')
+            .addText(text => {
+                text.setPlaceholder('today')
+                    .onChange(value => {
+                        this.input = value;
+                        this.updatePreview();
+                    });
+                // Submit on Enter so the modal can be used from the keyboard alone
+                text.inputEl.addEventListener('keydown', (evt: KeyboardEvent) => {
+                    if (evt.key === 'Enter') {
+                        evt.preventDefault();
+                        this.submit();
                     }
                 });
-        });
+                window.setTimeout(() => text.inputEl.focus(), 0);
+            });
 
+        new Setting(contentEl)
+            .setName('Note Type')
+            .addDropdown(dropdown => {
+                this.noteTypeDropdown = dropdown;
+                for (const noteType of NOTE_TYPES) {
+                    dropdown.addOption(noteType, NOTE_TYPE_LABELS[noteType]);
+                }
+                dropdown.setValue(this.noteType)
+                    .onChange(value => {
+                        this.noteType = value as NoteType;
+                        this.chosenNoteType = this.noteType;
+                        this.updatePreview();
+                    });
+            });
 
-        // Setting for Weekly Template Path
-        let weeklyTemplateSetting = new Setting(containerEl)
-            .setName('Weekly Template Path')
-            .setDesc('The path to the template file for new weekly notes (e.g., Templates/Weekly Template.md).');
+        this.previewEl = contentEl.createDiv({ cls: 'setting-item-description' });
 
-        let weeklyTemplateTextInput: HTMLInputElement; // Store reference to the input element
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText(this.onChoose ? 'Insert Link' : 'Open')
+                .setCta()
+                .onClick(() => this.submit()));
 
-        weeklyTemplateSetting.addText(text => {
-            weeklyTemplateTextInput = text.inputEl; // Get reference to the actual input element
-            text.setPlaceholder('Enter template path')
-                .setValue(this.plugin.settings.weeklyTemplatePath)
-                .onChange(async (value) => {
-                    this.plugin.settings.weeklyTemplatePath = value;
-                    await this.plugin.saveSettings();
-                });
-        });
+        this.updatePreview();
+    }
 
-        weeklyTemplateSetting.addButton(button => {
-            button.setButtonText('Browse')
-                .setCta() // Makes the button visually prominent
-                .onClick(async () => {
-                    const fileSuggester = new FileSuggester(this.app);
-                    try {
-                        const selectedFile = await fileSuggester.openAndGetValue();
-                        this.plugin.settings.weeklyTemplatePath = selectedFile;
-                        weeklyTemplateTextInput.value = selectedFile; // Update the input field
-                        await this.plugin.saveSettings();
-                    } catch (error) {
-                        // User cancelled the selection (e.g., pressed Esc)
-                        console.log('File selection cancelled.');
-                    }
-                });
-        });
+    onClose(): void {
+        this.contentEl.empty();
+    }
 
-        // NEW SETTING: Daily Template Path
-        let dailyTemplateSetting = new Setting(containerEl)
-            .setName('Daily Template Path')
-            .setDesc('The path to the template file for new daily notes (e.g., Templates/Daily Template.md).');
+    // Resolves the current input, switching to weekly notes while a week is entered and back
+    // to the chosen note type once it is not.
+    private resolve(): Date | null {
+        const parsed = this.profile.parseDateInput(this.input);
+        const noteType = parsed?.isWeek ? 'weekly' : this.chosenNoteType;
+        if (noteType !== this.noteType) {
+            this.noteType = noteType;
+            this.noteTypeDropdown.setValue(noteType);
+        }
+        return parsed ? parsed.date : null;
+    }
 
-        let dailyTemplateTextInput: HTMLInputElement;
+    // Shows the resolved date and the note path it will produce.
+    private updatePreview(): void {
+        const date = this.resolve();
+        this.previewEl.empty();
+        if (!date) {
+            this.previewEl.setText(`Could not understand "${this.input}".`);
+            return;
+        }
 
-        dailyTemplateSetting.addText(text => {
-            dailyTemplateTextInput = text.inputEl;
-            text.setPlaceholder('Enter template path')
-                .setValue(this.plugin.settings.dailyTemplatePath)
-                .onChange(async (value) => {
-                    this.plugin.settings.dailyTemplatePath = value;
-                    await this.plugin.saveSettings();
-                });
-        });
+        // Look the note up like opening it does, so renamed and archived notes show as existing
+        const existing = this.profile.findNote(this.noteType, date);
+        const path = existing ? existing.path : this.profile.getNotePath(this.noteType, date);
+        const exists = existing !== null;
+        // Calendar dates are UTC midnight, so format them with the plugin rather than the local timezone
+        let dateLabel = this.profile.formatDate(date, 'ddd MMM DD YYYY');
+        if (this.noteType !== 'daily') {
+            const range = this.profile.getPeriodRange(this.noteType, date);
+            dateLabel = `${this.profile.formatDate(range.start, 'YYYY-MM-DD')} – ${this.profile.formatDate(range.end, 'YYYY-MM-DD')}`;
+            if (this.noteType === 'weekly') {
+                dateLabel = `Week ${this.profile.getWeekOfYear(date)}: ${dateLabel}`;
+            }
+        }
+        this.previewEl.createDiv({ text: dateLabel });
+        this.previewEl.createDiv({ text: `${path} (${exists ? 'exists' : 'will be created'})` });
+    }
 
-        dailyTemplateSetting.addButton(button => {
-            button.setButtonText('Browse')
-                .setCta()
-                .onClick(async () => {
-                    const fileSuggester = new FileSuggester(this.app);
-                    try {
-                        const selectedFile = await fileSuggester.openAndGetValue();
-                        this.plugin.settings.dailyTemplatePath = selectedFile;
-                        dailyTemplateTextInput.value = selectedFile;
-                        await this.plugin.saveSettings();
-                    } catch (error) {
-                        console.log('Daily template file selection cancelled.');
-                    }
-                });
+    private async submit(): Promise<void> {
+        const date = this.resolve();
+        if (!date) {
+            new Notice(`Could not understand "${this.input}".`);
+            return;
+        }
+        this.close();
+        if (this.onChoose) {
+            this.onChoose(this.noteType, date);
+            return;
+        }
+        await this.profile.processNoteForDate(this.noteType, date);
+    }
+}
+
+// ====================================================================================================
+// Reorganize Notes Modal
+// Shows a dry-run list of notes that would move into their configured folders, then moves them.
+// ====================================================================================================
+class ReorganizeNotesModal extends Modal {
+    profile: NoteProfile;
+
+    constructor(app: App, profile: NoteProfile) {
+        super(app);
+        this.profile = profile;
+    }
+
+    onOpen(): void {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h2', { text: 'Reorganize Existing Notes' });
+
+        const moves = this.profile.planNoteReorganization();
+        if (moves.length === 0) {
+            contentEl.createEl('p', { text: 'All notes are already in their configured folders.' });
+            return;
+        }
+
+        const movable = moves.filter(move => !move.conflict);
+        contentEl.createEl('p', {
+            text: `${movable.length} note(s) will be moved. Links to them are updated automatically.`
+                + (movable.length < moves.length ? ` ${moves.length - movable.length} note(s) will be skipped because the target already exists.` : ''),
         });
 
-        // NEW SETTING: Daily Filename Format
-        new Setting(containerEl)
-            .setName('Daily Filename Format')
-            .setDesc('Format string for the daily note filename. Placeholder: {{date}}.')
-            .addText(text => text
-                .setPlaceholder('e.g., {{date}}.md or Daily-{{date}}.md')
-                .setValue(this.plugin.settings.dailyFileNameFormat)
-                .onChange(async (value) => {
-                    this.plugin.settings.dailyFileNameFormat = value;
-                    await this.plugin.saveSettings();
-                }));
+        const listEl = contentEl.createEl('ul');
+        for (const move of moves) {
+            const itemEl = listEl.createEl('li', { text: `${move.file.path} → ${move.targetPath}` });
+            if (move.conflict) {
+                itemEl.appendText(' (skipped: target exists)');
+                itemEl.addClass('mod-warning');
+            }
+        }
 
-        // NEW SETTING: Daily Date Format
-        new Setting(containerEl)
-            .setName('Daily Date Format')
-            .setDesc('Date format string for {{date}} placeholder in daily filename and content. Use YYYY, MM, DD, dddd (full weekday), MMMM (full month).')
-            .addText(text => text
-                .setPlaceholder('e.g., YYYY-MM-DD or YYYY/MM/DD dddd')
-                .setValue(this.plugin.settings.dailyDateFormat)
-                .onChange(async (value) => {
-                    this.plugin.settings.dailyDateFormat = value;
-                    await this.plugin.saveSettings();
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Cancel')
+                .onClick(() => this.close()))
+            .addButton(button => button
+                .setButtonText(`Move ${movable.length} Note(s)`)
+                .setCta()
+                .setDisabled(movable.length === 0)
+                .onClick(async () => {
+                    this.close();
+                    const moved = await this.profile.applyNoteReorganization(moves);
+                    new Notice(`Moved ${moved} note(s).`);
                 }));
+    }
 
+    onClose(): void {
+        this.contentEl.empty();
+    }
+}
 
-        // Weekly Note Settings below this point (retained existing labels)
+// ====================================================================================================
+// Duplicate Notes Modal
+// Lists days, weeks and other periods that have more than one note.
+// ====================================================================================================
+class DuplicateNotesModal extends Modal {
+    profile: NoteProfile;
 
-        // NEW SETTING: Filename Format (for weekly notes)
-        new Setting(containerEl)
-            .setName('Weekly Filename Format') // Renamed for clarity
-            .setDesc('Format string for the weekly note filename. Placeholders: {{woy}} or {{week_of_year}} for week number, {{wsd}} or {{week_start_date}} for week start date.')
+    constructor(app: App, profile: NoteProfile) {
+        super(app);
+        this.profile = profile;
+    }
+
+    onOpen(): void {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h2', { text: 'Duplicate Periodic Notes' });
+
+        const duplicates = this.profile.findDuplicateNotes();
+        if (duplicates.length === 0) {
+            contentEl.createEl('p', { text: 'No period has more than one note.' });
+            return;
+        }
+
+        contentEl.createEl('p', { text: `${duplicates.length} period(s) have more than one note. Click a note to open it.` });
+        for (const duplicate of duplicates) {
+            contentEl.createEl('h4', { text: `${NOTE_TYPE_LABELS[duplicate.noteType]} ${duplicate.label}` });
+            const listEl = contentEl.createEl('ul');
+            for (const file of duplicate.files) {
+                const linkEl = listEl.createEl('li').createEl('a', { text: file.path, href: '#' });
+                linkEl.addEventListener('click', (event) => {
+                    event.preventDefault();
+                    this.close();
+                    this.app.workspace.openLinkText(file.path, file.path);
+                });
+            }
+        }
+    }
+
+    onClose(): void {
+        this.contentEl.empty();
+    }
+}
+
+// ====================================================================================================
+// Batch Create Modal
+// Creates the notes of a date range at once, after previewing which ones already exist.
+// ====================================================================================================
+class BatchCreateModal extends Modal {
+    profile: NoteProfile;
+    private startInput: string = 'today';
+    private endInput: string = 'in 6 days';
+    private noteType: NoteType = 'daily';
+    private previewEl!: HTMLElement;
+    private createButtonEl!: HTMLButtonElement;
+
+    constructor(app: App, profile: NoteProfile) {
+        super(app);
+        this.profile = profile;
+    }
+
+    onOpen(): void {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h2', { text: 'Create Notes for Date Range' });
+
+        new Setting(contentEl)
+            .setName('Start Date')
+            .setDesc('e.g., 2026-10-19, today or next monday.')
             .addText(text => text
-                .setPlaceholder('e.g., WO{{woy}}.md or Weekly-{{wsd}}.md')
-                .setValue(this.plugin.settings.fileNameFormat)
-                .onChange(async (value) => {
-                    this.plugin.settings.fileNameFormat = value;
-                    await this.plugin.saveSettings();
+                .setValue(this.startInput)
+                .onChange(value => {
+                    this.startInput = value;
+                    this.updatePreview();
                 }));
 
-        // NEW SETTING: Week Start Date Format
-        new Setting(containerEl)
-            .setName('Week Start Date Format')
-            .setDesc('Date format string for {{wsd}} or {{week_start_date}} placeholder in weekly filename. Use YYYY, MM, DD.')
+        new Setting(contentEl)
+            .setName('End Date')
+            .setDesc('The last date to create a note for (inclusive).')
             .addText(text => text
-                .setPlaceholder('e.g., YYYY-MM-DD')
-                .setValue(this.plugin.settings.weekStartDateFormat)
-                .onChange(async (value) => {
-                    this.plugin.settings.weekStartDateFormat = value;
-                    await this.plugin.saveSettings();
+                .setValue(this.endInput)
+                .onChange(value => {
+                    this.endInput = value;
+                    this.updatePreview();
                 }));
 
-        // Renamed Setting: Toggle for adding week number tag
-        new Setting(containerEl)
-            .setName('Add Week Number Tag to Note') // Renamed for clarity (applies to both daily and weekly)
-            .setDesc('Toggle to automatically add a tag (e.g., #week-3) to the new note. Applies to both daily and weekly notes.')
+        new Setting(contentEl)
+            .setName('Note Type')
+            .addDropdown(dropdown => {
+                for (const noteType of NOTE_TYPES) {
+                    dropdown.addOption(noteType, NOTE_TYPE_LABELS[noteType]);
+                }
+                dropdown.setValue(this.noteType)
+                    .onChange(value => {
+                        this.noteType = value as NoteType;
+                        this.updatePreview();
+                    });
+            });
+
+        this.previewEl = contentEl.createDiv();
+
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Cancel')
+                .onClick(() => this.close()))
+            .addButton(button => {
+                this.createButtonEl = button.buttonEl;
+                button.setButtonText('Create Missing Notes')
+                    .setCta()
+                    .onClick(() => this.submit());
+            });
+
+        this.updatePreview();
+    }
+
+    onClose(): void {
+        this.contentEl.empty();
+    }
+
+    // Resolves the range into the notes it covers, or an error message.
+    private resolve(): { notes: { date: Date; path: string; exists: boolean }[] } | { error: string } {
+        const start = this.profile.parseDateInput(this.startInput);
+        const end = this.profile.parseDateInput(this.endInput);
+        if (!start || !end) {
+            return { error: `Could not understand "${!start ? this.startInput : this.endInput}".` };
+        }
+        if (start.date.getTime() > end.date.getTime()) {
+            return { error: 'The end date is before the start date.' };
+        }
+        const dates = this.profile.getNoteDatesInRange(this.noteType, start.date, end.date);
+        if (dates.length > MAX_BATCH_NOTES) {
+            return { error: `The range covers more than ${MAX_BATCH_NOTES} notes.` };
+        }
+        return {
+            notes: dates.map(date => {
+                const path = this.profile.getNotePath(this.noteType, date);
+                const existing = this.profile.findNote(this.noteType, date);
+                return { date, path: existing ? existing.path : path, exists: !!existing };
+            }),
+        };
+    }
+
+    // Lists the notes that would be created and the ones that already exist (dry run).
+    private updatePreview(): void {
+        this.previewEl.empty();
+        const result = this.resolve();
+        if ('error' in result) {
+            this.previewEl.createEl('p', { text: result.error });
+            this.createButtonEl.disabled = true;
+            return;
+        }
+
+        const missing = result.notes.filter(note => !note.exists);
+        this.previewEl.createEl('p', {
+            text: `${missing.length} note(s) will be created, ${result.notes.length - missing.length} already exist.`,
+        });
+        const listEl = this.previewEl.createEl('ul', { cls: 'dwn-batch-preview' });
+        for (const note of result.notes) {
+            listEl.createEl('li', { text: `${note.exists ? 'Exists' : 'Create'}: ${note.path}` });
+        }
+        this.createButtonEl.disabled = missing.length === 0;
+    }
+
+    private async submit(): Promise<void> {
+        const result = this.resolve();
+        if ('error' in result) {
+            new Notice(result.error);
+            return;
+        }
+        this.close();
+        await this.profile.createNotesInBatch(this.noteType, result.notes.filter(note => !note.exists).map(note => note.date));
+    }
+}
+
+// ====================================================================================================
+// Notes Report Modal
+// Shows missing days and weeks, streaks and notes per week for a date range, with buttons that
+// create missing notes and a button that inserts the report into a weekly note.
+// ====================================================================================================
+class NotesReportModal extends Modal {
+    profile: NoteProfile;
+    private startInput: string = '4 weeks ago';
+    private endInput: string = 'today';
+    private skipWeekends: boolean = false;
+    private reportEl!: HTMLElement;
+    private insertButtonEl!: HTMLButtonElement;
+    private report: NotesReport | null = null;
+
+    constructor(app: App, profile: NoteProfile) {
+        super(app);
+        this.profile = profile;
+    }
+
+    onOpen(): void {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h2', { text: 'Periodic Notes Report' });
+
+        new Setting(contentEl)
+            .setName('Start Date')
+            .setDesc('e.g., 2026-09-01, 4 weeks ago or last monday.')
+            .addText(text => text
+                .setValue(this.startInput)
+                .onChange(value => {
+                    this.startInput = value;
+                    this.updateReport();
+                }));
+
+        new Setting(contentEl)
+            .setName('End Date')
+            .setDesc('The last day of the report (inclusive).')
+            .addText(text => text
+                .setValue(this.endInput)
+                .onChange(value => {
+                    this.endInput = value;
+                    this.updateReport();
+                }));
+
+        new Setting(contentEl)
+            .setName('Exclude Weekends')
+            .setDesc('Saturdays and Sundays are not reported as missing and do not break a streak.')
             .addToggle(toggle => toggle
-                .setValue(this.plugin.settings.addWeekTag)
+                .setValue(this.skipWeekends)
+                .onChange(value => {
+                    this.skipWeekends = value;
+                    this.updateReport();
+                }));
+
+        this.reportEl = contentEl.createDiv();
+
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Close')
+                .onClick(() => this.close()))
+            .addButton(button => {
+                this.insertButtonEl = button.buttonEl;
+                button.setButtonText('Insert into Weekly Note')
+                    .setCta()
+                    .onClick(() => this.insert());
+            });
+
+        this.updateReport();
+    }
+
+    onClose(): void {
+        this.contentEl.empty();
+    }
+
+    // Builds the report for the entered range and shows it.
+    private updateReport(): void {
+        this.reportEl.empty();
+        this.report = null;
+        const start = this.profile.parseDateInput(this.startInput);
+        const end = this.profile.parseDateInput(this.endInput);
+        if (!start || !end) {
+            this.reportEl.createEl('p', { text: `Could not understand "${!start ? this.startInput : this.endInput}".` });
+            this.insertButtonEl.disabled = true;
+            return;
+        }
+        if (start.date.getTime() > end.date.getTime()) {
+            this.reportEl.createEl('p', { text: 'The end date is before the start date.' });
+            this.insertButtonEl.disabled = true;
+            return;
+        }
+
+        const report = this.profile.buildNotesReport(start.date, end.date, this.skipWeekends);
+        this.report = report;
+        this.insertButtonEl.disabled = false;
+
+        const formatDay = (date: Date) => this.profile.formatDate(date, 'ddd YYYY-MM-DD');
+        const summaryEl = this.reportEl.createEl('ul');
+        summaryEl.createEl('li', { text: `Daily notes: ${report.dailyNotes} of ${report.days} days` });
+        summaryEl.createEl('li', {
+            text: `${report.endsBeforeToday ? `Streak on ${formatDay(report.end)}` : 'Current streak'}: ${report.currentStreak} days`,
+        });
+        summaryEl.createEl('li', {
+            text: `Longest streak: ${report.longestStreak.length} days`
+                + (report.longestStreak.start && report.longestStreak.end
+                    ? ` (${formatDay(report.longestStreak.start)} – ${formatDay(report.longestStreak.end)})`
+                    : ''),
+        });
+
+        this.reportEl.createEl('h3', { text: `Missing Days (${report.missingDays.length})` });
+        this.addGaps(report.missingDays.map(date => ({ noteType: 'daily' as NoteType, date, label: formatDay(date) })));
+        this.reportEl.createEl('h3', { text: `Missing Weekly Notes (${report.missingWeeks.length})` });
+        this.addGaps(report.missingWeeks.map(date => ({
+            noteType: 'weekly' as NoteType,
+            date,
+            label: `${this.profile.formatDate(date, PERIOD_KEY_FORMATS.weekly)} (${formatDay(date)})`,
+        })));
+
+        this.reportEl.createEl('h3', { text: 'Notes per Week' });
+        const tableEl = this.reportEl.createEl('table', { cls: 'dwn-report-table' });
+        const headerEl = tableEl.createEl('tr');
+        for (const heading of ['Week', 'Daily Notes', 'Weekly Note']) {
+            headerEl.createEl('th', { text: heading });
+        }
+        for (const week of report.weeks) {
+            const rowEl = tableEl.createEl('tr');
+            rowEl.createEl('td', { text: week.label });
+            rowEl.createEl('td', { text: `${week.dailyNotes} of ${week.days}` });
+            rowEl.createEl('td', { text: week.hasWeeklyNote ? 'Yes' : 'No' });
+        }
+    }
+
+    // Lists missing notes, each with a button that creates it.
+    private addGaps(gaps: { noteType: NoteType; date: Date; label: string }[]): void {
+        if (gaps.length === 0) {
+            this.reportEl.createEl('p', { text: 'None', cls: 'setting-item-description' });
+            return;
+        }
+        const listEl = this.reportEl.createDiv({ cls: 'dwn-report-gaps' });
+        for (const gap of gaps) {
+            new Setting(listEl)
+                .setName(gap.label)
+                .addButton(button => button
+                    .setButtonText('Create')
+                    .onClick(async () => {
+                        await this.profile.processNote(gap.noteType, gap.date, false);
+                        this.updateReport();
+                    }));
+        }
+    }
+
+    private async insert(): Promise<void> {
+        if (!this.report) {
+            return;
+        }
+        const file = await this.profile.insertNotesReport(this.report);
+        new Notice(`Notes report inserted into ${file.path}.`);
+    }
+}
+
+// ====================================================================================================
+// Export Settings Modal
+// Shows exported settings JSON to copy by hand, for when the clipboard cannot be written.
+// ====================================================================================================
+class ExportSettingsModal extends Modal {
+    private json: string;
+
+    constructor(app: App, json: string) {
+        super(app);
+        this.json = json;
+    }
+
+    onOpen(): void {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h2', { text: 'Export Settings' });
+        contentEl.createEl('p', { text: 'Select all of the text below and copy it.' });
+
+        new Setting(contentEl)
+            .setName('Settings JSON')
+            .addTextArea(text => {
+                text.setValue(this.json);
+                text.inputEl.rows = 12;
+                text.inputEl.readOnly = true;
+                text.inputEl.addClass('dwn-import-json');
+                window.setTimeout(() => text.inputEl.select(), 0);
+            });
+
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Close')
+                .setCta()
+                .onClick(() => this.close()));
+    }
+
+    onClose(): void {
+        this.contentEl.empty();
+    }
+}
+
+// ====================================================================================================
+// Import Settings Modal
+// Takes pasted settings JSON, reports what is wrong with it, and hands valid settings back.
+// ====================================================================================================
+class ImportSettingsModal extends Modal {
+    private json: string = '';
+    private onImport: (settings: WeeklyNotePluginSettings) => Promise<void>;
+
+    constructor(app: App, onImport: (settings: WeeklyNotePluginSettings) => Promise<void>) {
+        super(app);
+        this.onImport = onImport;
+    }
+
+    onOpen(): void {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h2', { text: 'Import Settings' });
+        contentEl.createEl('p', { text: 'Paste settings exported from this plugin. They replace all settings of the current profile.' });
+
+        new Setting(contentEl)
+            .setName('Settings JSON')
+            .addTextArea(text => {
+                text.inputEl.rows = 12;
+                text.inputEl.addClass('dwn-import-json');
+                text.onChange(value => {
+                    this.json = value;
+                });
+            });
+
+        const errorEl = contentEl.createEl('p', { cls: 'dwn-settings-problems' });
+
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Cancel')
+                .onClick(() => this.close()))
+            .addButton(button => button
+                .setButtonText('Import')
+                .setCta()
+                .onClick(async () => {
+                    let settings: WeeklyNotePluginSettings;
+                    try {
+                        settings = parseSettingsJson(this.json);
+                    } catch (error) {
+                        errorEl.setText((error as Error).message);
+                        new Notice(`Settings not imported: ${(error as Error).message}`);
+                        return;
+                    }
+                    this.close();
+                    await this.onImport(settings);
+                }));
+    }
+
+    onClose(): void {
+        this.contentEl.empty();
+    }
+}
+
+// ====================================================================================================
+// Calendar View
+// A sidebar month grid with week numbers that shows which daily and weekly notes exist.
+// ====================================================================================================
+class CalendarView extends ItemView {
+    plugin: WeeklyNotePlugin;
+    private displayedYear: number;
+    private displayedMonth: number; // 0-indexed
+    private renderedToday = 0; // The "today" of the last render, to notice when a new day begins
+
+    constructor(leaf: WorkspaceLeaf, plugin: WeeklyNotePlugin) {
+        super(leaf);
+        this.plugin = plugin;
+        const today = plugin.activeProfile.getToday();
+        this.displayedYear = today.getUTCFullYear();
+        this.displayedMonth = today.getUTCMonth();
+    }
+
+    getViewType(): string {
+        return VIEW_TYPE_CALENDAR;
+    }
+
+    getDisplayText(): string {
+        return 'Calendar';
+    }
+
+    getIcon(): string {
+        return 'calendar-days';
+    }
+
+    async onOpen(): Promise<void> {
+        // Vault events arrive in bursts (e.g. during a sync), so re-render at most every 300ms
+        const requestRender = debounce(() => this.render(), 300, true);
+        this.registerEvent(this.app.vault.on('create', requestRender));
+        this.registerEvent(this.app.vault.on('delete', requestRender));
+        this.registerEvent(this.app.vault.on('rename', requestRender));
+        // Move the today highlight once a new day begins (following Day Starts At and Time Zone)
+        this.registerInterval(window.setInterval(() => {
+            if (this.plugin.activeProfile.getToday().getTime() !== this.renderedToday) {
+                this.render();
+            }
+        }, AUTO_CREATE_CHECK_INTERVAL_MS));
+        this.render();
+    }
+
+    async onClose(): Promise<void> {
+        this.contentEl.empty();
+    }
+
+    // Moves the displayed month by a number of months.
+    private changeMonth(months: number): void {
+        const target = calendarDate(this.displayedYear, this.displayedMonth + months, 1);
+        this.displayedYear = target.getUTCFullYear();
+        this.displayedMonth = target.getUTCMonth();
+        this.render();
+    }
+
+    // Tells whether the note of a type and date exists.
+    private noteExists(noteType: NoteType, date: Date): boolean {
+        return this.plugin.activeProfile.findNote(noteType, date) !== null;
+    }
+
+    render(): void {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.addClass('dwn-calendar');
+
+        const names = this.plugin.activeProfile.getLocaleNames();
+        const firstOfMonth = calendarDate(this.displayedYear, this.displayedMonth, 1);
+
+        // Header with month navigation
+        const headerEl = contentEl.createDiv({ cls: 'dwn-calendar-header' });
+        headerEl.createEl('button', { text: '‹', attr: { 'aria-label': 'Previous month' } })
+            .addEventListener('click', () => this.changeMonth(-1));
+        headerEl.createSpan({ cls: 'dwn-calendar-title', text: `${names.months[this.displayedMonth]} ${this.displayedYear}` });
+        headerEl.createEl('button', { text: 'Today' })
+            .addEventListener('click', () => {
+                const today = this.plugin.activeProfile.getToday();
+                this.displayedYear = today.getUTCFullYear();
+                this.displayedMonth = today.getUTCMonth();
+                this.render();
+            });
+        headerEl.createEl('button', { text: '›', attr: { 'aria-label': 'Next month' } })
+            .addEventListener('click', () => this.changeMonth(1));
+
+        // Rows follow the configured week numbering, so they start on its first weekday
+        const firstWeekStart = this.plugin.activeProfile.getWeekInfo(firstOfMonth).start;
+        const weekStartDay = firstWeekStart.getUTCDay();
+        const tableEl = contentEl.createEl('table', { cls: 'dwn-calendar-grid' });
+        const headRowEl = tableEl.createEl('thead').createEl('tr');
+        headRowEl.createEl('th', { text: 'W', cls: 'dwn-calendar-week' });
+        for (let i = 0; i < 7; i++) {
+            headRowEl.createEl('th', { text: names.weekdaysShort[(weekStartDay + i) % 7] });
+        }
+
+        const bodyEl = tableEl.createEl('tbody');
+        const today = this.plugin.activeProfile.getToday();
+        this.renderedToday = today.getTime();
+        let rowStart = firstWeekStart;
+        while (rowStart.getUTCFullYear() * 12 + rowStart.getUTCMonth() <= this.displayedYear * 12 + this.displayedMonth) {
+            const rowEl = bodyEl.createEl('tr');
+            const weekDate = rowStart;
+
+            const weekCellEl = rowEl.createEl('td', { cls: 'dwn-calendar-week', text: this.plugin.activeProfile.getWeekOfYear(weekDate).toString() });
+            if (this.noteExists('weekly', weekDate)) {
+                weekCellEl.addClass('has-note');
+            }
+            weekCellEl.setAttr('aria-label', this.plugin.activeProfile.getNotePath('weekly', weekDate));
+            weekCellEl.addEventListener('click', () => this.plugin.activeProfile.processNoteForDate('weekly', weekDate));
+
+            for (let i = 0; i < 7; i++) {
+                const day = new Date(rowStart.getTime() + i * DAY_MS);
+                const dayCellEl = rowEl.createEl('td', { cls: 'dwn-calendar-day' });
+                dayCellEl.createDiv({ text: day.getUTCDate().toString() });
+                const dotEl = dayCellEl.createDiv({ cls: 'dwn-calendar-dot' });
+                if (this.noteExists('daily', day)) {
+                    dotEl.addClass('has-note');
+                }
+                if (day.getUTCMonth() !== this.displayedMonth) {
+                    dayCellEl.addClass('is-other-month');
+                }
+                if (day.getTime() === today.getTime()) {
+                    dayCellEl.addClass('is-today');
+                }
+                dayCellEl.setAttr('aria-label', this.plugin.activeProfile.getNotePath('daily', day));
+                dayCellEl.addEventListener('click', () => this.plugin.activeProfile.processNoteForDate('daily', day));
+            }
+
+            rowStart = new Date(rowStart.getTime() + 7 * DAY_MS);
+        }
+    }
+}
+
+// ====================================================================================================
+// Periodic Note Suggest
+// Offers a link to the matching periodic note while typing @today, @tomorrow, @monday, @week, ...
+// ====================================================================================================
+class PeriodicNoteSuggest extends EditorSuggest<{ label: string; noteType: NoteType; date: Date }> {
+    plugin: WeeklyNotePlugin;
+
+    constructor(app: App, plugin: WeeklyNotePlugin) {
+        super(app);
+        this.plugin = plugin;
+    }
+
+    // Triggers on "@" at the start of a word, followed by up to two words (e.g. "@next week").
+    onTrigger(cursor: EditorPosition, editor: Editor): EditorSuggestTriggerInfo | null {
+        if (!this.plugin.settings.enableDateSuggest) {
+            return null;
+        }
+        const match = /(?:^|[\s(])@([\w-]*(?: [\w-]*)?)$/.exec(editor.getLine(cursor.line).substring(0, cursor.ch));
+        if (!match) {
+            return null;
+        }
+        return {
+            start: { line: cursor.line, ch: cursor.ch - match[1].length - 1 },
+            end: cursor,
+            query: match[1],
+        };
+    }
+
+    // Offers the keywords that start with the typed text, or the typed date itself (e.g. @2026-10-23).
+    getSuggestions(context: EditorSuggestContext): { label: string; noteType: NoteType; date: Date }[] {
+        const profile = this.plugin.activeProfile;
+        const query = context.query.toLowerCase();
+        const suggestions: { label: string; noteType: NoteType; date: Date }[] = [];
+        for (const keyword of SUGGEST_KEYWORDS.filter(candidate => candidate.startsWith(query))) {
+            const parsed = profile.parseDateInput(keyword === 'week' ? 'today' : keyword);
+            if (parsed) {
+                suggestions.push({ label: keyword, noteType: keyword.endsWith('week') ? 'weekly' : 'daily', date: parsed.date });
+            }
+        }
+        if (suggestions.length === 0 && query) {
+            const parsed = profile.parseDateInput(query);
+            if (parsed) {
+                suggestions.push({ label: query, noteType: parsed.isWeek ? 'weekly' : 'daily', date: parsed.date });
+            }
+        }
+        return suggestions;
+    }
+
+    renderSuggestion(suggestion: { label: string; noteType: NoteType; date: Date }, el: HTMLElement): void {
+        el.createDiv({ text: `@${suggestion.label}` });
+        el.createEl('small', { text: this.plugin.activeProfile.getNotePath(suggestion.noteType, suggestion.date), cls: 'setting-item-description' });
+    }
+
+    selectSuggestion(suggestion: { label: string; noteType: NoteType; date: Date }): void {
+        if (!this.context) {
+            return;
+        }
+        const { editor, start, end, file } = this.context;
+        const link = this.plugin.activeProfile.getPeriodicNoteLink(suggestion.noteType, suggestion.date, file?.path ?? '');
+        editor.replaceRange(link, start, end);
+    }
+}
+
+// ====================================================================================================
+// Plugin Settings Tab Class
+// This class extends PluginSettingTab to create the UI for the plugin settings.
+// ====================================================================================================
+class WeeklyNoteSettingTab extends PluginSettingTab {
+    plugin: WeeklyNotePlugin;
+    private checksEl: HTMLElement | null = null;
+    // Settings are saved on every keystroke, so the checks run once typing pauses
+    requestChecksUpdate = debounce(() => this.updateChecks(), 300, true);
+
+    constructor(app: App, plugin: WeeklyNotePlugin) {
+        super(app, plugin);
+        this.plugin = plugin;
+    }
+
+    // This method is responsible for rendering the settings UI.
+    display(): void {
+        const { containerEl } = this;
+
+        containerEl.empty(); // Clear existing contents
+
+        containerEl.createEl('h2', { text: 'Daily/Weekly Note Creator Settings' });
+
+        this.displayProfiles(containerEl);
+        this.displayChecks(containerEl);
+
+        // Setting for Calendar Folder Path
+        let calendarFolderSetting = new Setting(containerEl)
+            .setName('Calendar Folder Path')
+            .setDesc('The path to the folder where daily and weekly notes will be stored (e.g., Calendar).');
+
+        let calendarFolderTextInput: HTMLInputElement; // Store reference to the input element
+
+        calendarFolderSetting.addText(text => {
+            calendarFolderTextInput = text.inputEl; // Get reference to the actual input element
+            text.setPlaceholder('Enter folder path')
+                .setValue(this.plugin.settings.calendarFolderPath)
                 .onChange(async (value) => {
-                    this.plugin.settings.addWeekTag = value;
+                    this.plugin.settings.calendarFolderPath = value;
                     await this.plugin.saveSettings();
-                    this.display(); // Re-render settings to show/hide tag prefix option
-                }));
+                });
+        });
+
+        calendarFolderSetting.addButton(button => {
+            button.setButtonText('Browse')
+                .setCta() // Makes the button visually prominent
+                .onClick(async () => {
+                    const folderSuggester = new FolderSuggester(this.app);
+                    try {
+                        const selectedFolder = await folderSuggester.openAndGetValue();
+                        this.plugin.settings.calendarFolderPath = selectedFolder;
+                        calendarFolderTextInput.value = selectedFolder; // Update the input field
+                        await this.plugin.saveSettings();
+                    } catch (error) {
+                        // User cancelled the selection (e.g., pressed Esc)
+                        console.log('Folder selection cancelled.');
+                    }
+                });
+        });
+
+        // Settings: Per-type folder patterns
+        for (const noteType of NOTE_TYPES) {
+            const label = NOTE_TYPE_LABELS[noteType];
+            new Setting(containerEl)
+                .setName(`${label} Folder Pattern`)
+                .setDesc(`Optional folder for ${noteType} notes. Path segments made only of date tokens are formatted with the note's date (e.g., Journal/${label}/YYYY/MM). Leave empty to use the calendar folder.`)
+                .addText(text => text
+                    .setPlaceholder(this.plugin.settings.calendarFolderPath || 'Calendar')
+                    .setValue(this.plugin.settings[`${noteType}FolderFormat` as const])
+                    .onChange(async (value) => {
+                        this.plugin.settings[`${noteType}FolderFormat` as const] = value.trim();
+                        await this.plugin.saveSettings();
+                    }));
+        }
+
+
+        // Setting for Weekly Template Path
+        let weeklyTemplateSetting = new Setting(containerEl)
+            .setName('Weekly Template Path')
+            .setDesc('The path to the template file for new weekly notes (e.g., Templates/Weekly Template.md).');
+
+        let weeklyTemplateTextInput: HTMLInputElement; // Store reference to the input element
+
+        weeklyTemplateSetting.addText(text => {
+            weeklyTemplateTextInput = text.inputEl; // Get reference to the actual input element
+            text.setPlaceholder('Enter template path')
+                .setValue(this.plugin.settings.weeklyTemplatePath)
+                .onChange(async (value) => {
+                    this.plugin.settings.weeklyTemplatePath = value;
+                    await this.plugin.saveSettings();
+                });
+        });
+
+        weeklyTemplateSetting.addButton(button => {
+            button.setButtonText('Browse')
+                .setCta() // Makes the button visually prominent
+                .onClick(async () => {
+                    const fileSuggester = new FileSuggester(this.app);
+                    try {
+                        const selectedFile = await fileSuggester.openAndGetValue();
+                        this.plugin.settings.weeklyTemplatePath = selectedFile;
+                        weeklyTemplateTextInput.value = selectedFile; // Update the input field
+                        await this.plugin.saveSettings();
+                    } catch (error) {
+                        // User cancelled the selection (e.g., pressed Esc)
+                        console.log('File selection cancelled.');
+                    }
+                });
+        });
+
+        // NEW SETTING: Daily Template Path
+        let dailyTemplateSetting = new Setting(containerEl)
+            .setName('Daily Template Path')
+            .setDesc('The path to the template file for new daily notes (e.g., Templates/Daily Template.md).');
+
+        let dailyTemplateTextInput: HTMLInputElement;
+
+        dailyTemplateSetting.addText(text => {
+            dailyTemplateTextInput = text.inputEl;
+            text.setPlaceholder('Enter template path')
+                .setValue(this.plugin.settings.dailyTemplatePath)
+                .onChange(async (value) => {
+                    this.plugin.settings.dailyTemplatePath = value;
+                    await this.plugin.saveSettings();
+                });
+        });
+
+        dailyTemplateSetting.addButton(button => {
+            button.setButtonText('Browse')
+                .setCta()
+                .onClick(async () => {
+                    const fileSuggester = new FileSuggester(this.app);
+                    try {
+                        const selectedFile = await fileSuggester.openAndGetValue();
+                        this.plugin.settings.dailyTemplatePath = selectedFile;
+                        dailyTemplateTextInput.value = selectedFile;
+                        await this.plugin.saveSettings();
+                    } catch (error) {
+                        console.log('Daily template file selection cancelled.');
+                    }
+                });
+        });
+
+        // NEW SETTING: Daily Filename Format
+        new Setting(containerEl)
+            .setName('Daily Filename Format')
+            .setDesc('Format string for the daily note filename. Placeholder: {{date}}.')
+            .addText(text => text
+                .setPlaceholder('e.g., {{date}}.md or Daily-{{date}}.md')
+                .setValue(this.plugin.settings.dailyFileNameFormat)
+                .onChange(async (value) => {
+                    this.plugin.settings.dailyFileNameFormat = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        // NEW SETTING: Daily Date Format
+        new Setting(containerEl)
+            .setName('Daily Date Format')
+            .setDesc('Date format string for {{date}} placeholder in daily filename and content. Use YYYY, MM, DD, Do (1st), dddd (full weekday), MMMM (full month), W (ISO week), GGGG (ISO week-year), w/gggg (week and week-year in the configured numbering), Q, DDD (day of year), E (ISO weekday). Wrap literal text in [brackets].')
+            .addText(text => text
+                .setPlaceholder('e.g., YYYY-MM-DD or YYYY/MM/DD dddd')
+                .setValue(this.plugin.settings.dailyDateFormat)
+                .onChange(async (value) => {
+                    this.plugin.settings.dailyDateFormat = value;
+                    await this.plugin.saveSettings();
+                }));
+
+
+        // Weekly Note Settings below this point (retained existing labels)
+
+        // NEW SETTING: Filename Format (for weekly notes)
+        new Setting(containerEl)
+            .setName('Weekly Filename Format') // Renamed for clarity
+            .setDesc('Format string for the weekly note filename. Placeholders: {{woy}} or {{week_of_year}} for week number, {{wy}} or {{week_year}} for week-year, {{wsd}} or {{week_start_date}} for week start date, {{wed}} or {{week_end_date}} for week end date. Include the week-year (e.g., {{wy}}-W{{woy}}.md) so notes from different years do not collide.')
+            .addText(text => text
+                .setPlaceholder('e.g., {{wy}}-W{{woy}}.md or Weekly-{{wsd}}.md')
+                .setValue(this.plugin.settings.fileNameFormat)
+                .onChange(async (value) => {
+                    this.plugin.settings.fileNameFormat = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        // NEW SETTING: Week Start Date Format
+        new Setting(containerEl)
+            .setName('Week Start Date Format')
+            .setDesc('Date format string for the {{wsd}}/{{week_start_date}} and {{wed}}/{{week_end_date}} placeholders. Uses the same tokens as the daily date format.')
+            .addText(text => text
+                .setPlaceholder('e.g., YYYY-MM-DD')
+                .setValue(this.plugin.settings.weekStartDateFormat)
+                .onChange(async (value) => {
+                    this.plugin.settings.weekStartDateFormat = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        // Setting: Locale for month and weekday names
+        new Setting(containerEl)
+            .setName('Locale')
+            .setDesc('Language used for month and weekday names in date formats (e.g., en, de, fr-CA).')
+            .addText(text => text
+                .setPlaceholder('e.g., en')
+                .setValue(this.plugin.settings.locale)
+                .onChange(async (value) => {
+                    this.plugin.settings.locale = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+
+        // Setting: Week numbering system
+        new Setting(containerEl)
+            .setName('Week Numbering')
+            .setDesc('How week numbers, week start dates and week-years are calculated for {{woy}}, {{wsd}}, {{wy}}, {{wed}} and the week tag/property.')
+            .addDropdown(dropdown => dropdown
+                .addOption('iso', 'ISO 8601 (Monday start)')
+                .addOption('us', 'US (Sunday start, week of January 1st)')
+                .addOption('fiscal', 'Fiscal year')
+                .setValue(this.plugin.settings.weekNumbering)
+                .onChange(async (value) => {
+                    this.plugin.settings.weekNumbering = value as WeekNumbering;
+                    await this.plugin.saveSettings();
+                    this.display(); // Re-render settings to show/hide fiscal year options
+                }));
+
+        if (this.plugin.settings.weekNumbering === 'fiscal') {
+            new Setting(containerEl)
+                .setName('Fiscal Year Start')
+                .setDesc('Month and day the fiscal year starts on (MM-DD). Week 1 is the week containing this date; the fiscal year is named after the calendar year it starts in.')
+                .addText(text => text
+                    .setPlaceholder('e.g., 02-01')
+                    .setValue(this.plugin.settings.fiscalYearStart)
+                    .onChange(async (value) => {
+                        this.plugin.settings.fiscalYearStart = value.trim();
+                        await this.plugin.saveSettings();
+                    }));
+
+            new Setting(containerEl)
+                .setName('Fiscal Weeks Start On')
+                .setDesc('The first day of each fiscal week.')
+                .addDropdown(dropdown => dropdown
+                    .addOption('1', 'Monday')
+                    .addOption('0', 'Sunday')
+                    .setValue(this.plugin.settings.fiscalWeekStartDay.toString())
+                    .onChange(async (value) => {
+                        this.plugin.settings.fiscalWeekStartDay = parseInt(value, 10);
+                        await this.plugin.saveSettings();
+                    }));
+        }
+
+        // Settings: When a day starts
+        new Setting(containerEl)
+            .setName('Day Starts At')
+            .setDesc('Before this time, "today" is still the previous day, so a note written at 1am goes into the previous day\'s note.')
+            .addDropdown(dropdown => {
+                for (let hour = 0; hour < 24; hour++) {
+                    dropdown.addOption(hour.toString(), `${hour.toString().padStart(2, '0')}:00`);
+                }
+                dropdown.setValue(this.plugin.settings.dayStartHour.toString())
+                    .onChange(async (value) => {
+                        this.plugin.settings.dayStartHour = parseInt(value, 10);
+                        await this.plugin.saveSettings();
+                    });
+            });
+
+        const timeZoneDesc = 'IANA timezone that decides which day it is (e.g., Europe/Berlin or America/New_York). Leave empty to follow the system timezone.';
+        const timeZoneSetting = new Setting(containerEl)
+            .setName('Time Zone')
+            .setDesc(timeZoneDesc)
+            .addText(text => text
+                .setPlaceholder('System timezone')
+                .setValue(this.plugin.settings.timeZone)
+                .onChange(async (value) => {
+                    const timeZone = value.trim();
+                    if (timeZone && !this.plugin.activeProfile.isValidTimeZone(timeZone)) {
+                        timeZoneSetting.setDesc(`"${timeZone}" is not a known timezone; the previous setting is kept.`);
+                        return;
+                    }
+                    timeZoneSetting.setDesc(timeZoneDesc);
+                    this.plugin.settings.timeZone = timeZone;
+                    await this.plugin.saveSettings();
+                }));
+
+        // Setting: Weekly rollup
+        new Setting(containerEl)
+            .setName('Weekly Rollup Highlights Heading')
+            .setDesc('The content under this heading in each daily note is copied into the weekly rollup ({{week_days}}). Leave empty to leave highlights out.')
+            .addText(text => text
+                .setPlaceholder('e.g., ## Highlights')
+                .setValue(this.plugin.settings.rollupHighlightsHeading)
+                .onChange(async (value) => {
+                    this.plugin.settings.rollupHighlightsHeading = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        // Monthly, quarterly and yearly note settings
+        containerEl.createEl('h3', { text: 'Monthly, Quarterly and Yearly Notes' });
+
+        for (const noteType of ['monthly', 'quarterly', 'yearly'] as const) {
+            const label = NOTE_TYPE_LABELS[noteType];
+            this.addTemplatePathSetting(containerEl, `${label} Template Path`,
+                `The path to the template file for new ${noteType} notes (e.g., Templates/${label} Template.md).`,
+                `${noteType}TemplatePath` as const);
+
+            new Setting(containerEl)
+                .setName(`${label} Filename Format`)
+                .setDesc('Format string for the filename. Placeholders: {{year}}, {{month}}, {{month_name}}, {{quarter}}, {{period_start}}, {{period_end}}.')
+                .addText(text => text
+                    .setPlaceholder(`e.g., ${DEFAULT_SETTINGS[`${noteType}FileNameFormat` as const]}`)
+                    .setValue(this.plugin.settings[`${noteType}FileNameFormat` as const])
+                    .onChange(async (value) => {
+                        this.plugin.settings[`${noteType}FileNameFormat` as const] = value;
+                        await this.plugin.saveSettings();
+                    }));
+        }
+
+        new Setting(containerEl)
+            .setName('Period Date Format')
+            .setDesc('Date format string for the {{period_start}} and {{period_end}} placeholders. Uses the same tokens as the daily date format.')
+            .addText(text => text
+                .setPlaceholder('e.g., YYYY-MM-DD')
+                .setValue(this.plugin.settings.periodDateFormat)
+                .onChange(async (value) => {
+                    this.plugin.settings.periodDateFormat = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        // Renamed Setting: Toggle for adding week number tag
+        new Setting(containerEl)
+            .setName('Add Week Number Tag to Note') // Renamed for clarity (applies to both daily and weekly)
+            .setDesc('Toggle to automatically add a tag (e.g., #week-3) to the new note. Applies to daily and weekly notes.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.addWeekTag)
+                .onChange(async (value) => {
+                    this.plugin.settings.addWeekTag = value;
+                    await this.plugin.saveSettings();
+                    this.display(); // Re-render settings to show/hide tag prefix option
+                }));
+
+        // New Setting: Week Tag Prefix (only visible if Add Week Tag is enabled)
+        if (this.plugin.settings.addWeekTag) {
+            new Setting(containerEl)
+                .setName('Week Tag Prefix')
+                .setDesc('The prefix for the week tag (e.g., "week-" will result in #week-3).')
+                .addText(text => text
+                    .setPlaceholder('e.g., week-')
+                    .setValue(this.plugin.settings.weekTagPrefix)
+                    .onChange(async (value) => {
+                        this.plugin.settings.weekTagPrefix = value;
+                        await this.plugin.saveSettings();
+                    }));
+
+            new Setting(containerEl)
+                .setName('Week Tag Location')
+                .setDesc('Append the tag at the end of the note body, or add it to the "tags" property in the frontmatter.')
+                .addDropdown(dropdown => dropdown
+                    .addOption('body', 'End of note body')
+                    .addOption('frontmatter', 'Frontmatter tags')
+                    .setValue(this.plugin.settings.weekTagLocation)
+                    .onChange(async (value) => {
+                        this.plugin.settings.weekTagLocation = value as WeekTagLocation;
+                        await this.plugin.saveSettings();
+                    }));
+        }
+
+        // NEW SETTING: Toggle for adding 'week' property to frontmatter
+        new Setting(containerEl)
+            .setName('Add Week Property to Note Frontmatter') // Renamed for clarity (applies to both daily and weekly)
+            .setDesc('Toggle to automatically add a property (e.g., "week: <number>") to the YAML frontmatter of the new note. Applies to daily and weekly notes.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.addWeekProperty)
+                .onChange(async (value) => {
+                    this.plugin.settings.addWeekProperty = value;
+                    await this.plugin.saveSettings();
+                    this.display(); // Re-render settings to show/hide property name option
+                }));
+
+        // NEW SETTING: Week Property Name (only visible if Add Week Property is enabled)
+        if (this.plugin.settings.addWeekProperty) {
+            new Setting(containerEl)
+                .setName('Week Property Name')
+                .setDesc('The name of the frontmatter property (e.g., "week" or "currentWeek").')
+                .addText(text => text
+                    .setPlaceholder('e.g., week')
+                    .setValue(this.plugin.settings.weekPropertyName)
+                    .onChange(async (value) => {
+                        this.plugin.settings.weekPropertyName = value;
+                        await this.plugin.saveSettings();
+                    }));
+        }
+
+        // Settings: Generated frontmatter properties
+        containerEl.createEl('h3', { text: 'Generated Properties' });
+        containerEl.createEl('p', {
+            text: 'Properties merged into the frontmatter of every new note. A property the template already fills in is kept; an empty one is filled. '
+                + 'Week number, week year and weekly note link only apply to daily and weekly notes.',
+            cls: 'setting-item-description',
+        });
+
+        this.plugin.settings.generatedProperties.forEach((property, index) => {
+            const setting = new Setting(containerEl)
+                .addText(text => text
+                    .setPlaceholder('Property name')
+                    .setValue(property.name)
+                    .onChange(async (value) => {
+                        property.name = value.trim();
+                        await this.plugin.saveSettings();
+                    }))
+                .addDropdown(dropdown => {
+                    for (const value of Object.keys(GENERATED_PROPERTY_LABELS) as GeneratedPropertyValue[]) {
+                        dropdown.addOption(value, GENERATED_PROPERTY_LABELS[value]);
+                    }
+                    dropdown.setValue(property.value)
+                        .onChange(async (value) => {
+                            property.value = value as GeneratedPropertyValue;
+                            await this.plugin.saveSettings();
+                            this.display(); // Re-render to show/hide the format field
+                        });
+                });
+
+            if (property.value === 'date' || property.value === 'weekday' || property.value === 'text') {
+                setting.addText(text => text
+                    .setPlaceholder(property.value === 'text' ? 'e.g., {{year}}-Q{{quarter}}' : property.value === 'date' ? 'e.g., YYYY-MM-DD' : 'e.g., dddd')
+                    .setValue(property.format)
+                    .onChange(async (value) => {
+                        property.format = value;
+                        await this.plugin.saveSettings();
+                    }));
+            }
+
+            setting.addExtraButton(button => button
+                .setIcon('trash')
+                .setTooltip('Remove property')
+                .onClick(async () => {
+                    this.plugin.settings.generatedProperties = this.plugin.settings.generatedProperties.filter((_, i) => i !== index);
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+        });
+
+        new Setting(containerEl)
+            .addButton(button => button
+                .setButtonText('Add Property')
+                .onClick(async () => {
+                    this.plugin.settings.generatedProperties = [
+                        ...this.plugin.settings.generatedProperties,
+                        { name: '', value: 'date', format: '' },
+                    ];
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+
+        // Setting: Previous/next navigation behaviour
+        new Setting(containerEl)
+            .setName('Skip to Existing Notes When Navigating')
+            .setDesc('When enabled, the previous/next note commands jump to the nearest note that already exists instead of creating the adjacent one.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.skipMissingOnNavigate)
+                .onChange(async (value) => {
+                    this.plugin.settings.skipMissingOnNavigate = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        // Settings: Links between notes
+        containerEl.createEl('h3', { text: 'Links' });
+
+        new Setting(containerEl)
+            .setName('Link New Daily Notes')
+            .setDesc('Add links to the previous day, the week\'s weekly note and the next day at the top of each new daily note.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.addDailyNoteLinks)
+                .onChange(async (value) => {
+                    this.plugin.settings.addDailyNoteLinks = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Suggest Links While Typing')
+            .setDesc('Typing @today, @tomorrow, @monday, @week, @next week or a date such as @2026-10-23 offers a link to that note.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.enableDateSuggest)
+                .onChange(async (value) => {
+                    this.plugin.settings.enableDateSuggest = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        // Settings: Recognising existing notes
+        containerEl.createEl('h3', { text: 'Existing Notes' });
+
+        new Setting(containerEl)
+            .setName('Folders to Search')
+            .setDesc('Comma-separated folders searched for notes that were renamed or moved (e.g., Calendar, Archive). Use / for the whole vault. Leave empty to search the note folders above.')
+            .addText(text => text
+                .setPlaceholder('e.g., Calendar, Archive')
+                .setValue(this.plugin.settings.indexFolders)
+                .onChange(async (value) => {
+                    this.plugin.settings.indexFolders = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Date Property')
+            .setDesc('Frontmatter property that identifies a note\'s period whatever its name: 2026-10-19 (daily), 2026-W43 (weekly), 2026-10 (monthly), 2026-Q4 (quarterly) or 2026 (yearly). Only used when the filename is not recognised, so only set it if that property names the period in every note that has it. Leave empty to ignore frontmatter.')
+            .addText(text => text
+                .setPlaceholder('e.g., date')
+                .setValue(this.plugin.settings.indexDateProperty)
+                .onChange(async (value) => {
+                    this.plugin.settings.indexDateProperty = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Previous Filename Formats')
+            .setDesc('Filename formats you used before, one per line as "type: format" (e.g., "daily: {{date:DD.MM.YYYY}}.md" or "weekly: WO{{woy}}.md"), so older notes are still found.')
+            .addTextArea(text => text
+                .setPlaceholder('daily: {{date:DD.MM.YYYY}}.md')
+                .setValue(this.plugin.settings.previousFileNameFormats)
+                .onChange(async (value) => {
+                    this.plugin.settings.previousFileNameFormats = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        this.displayTemplateRules(containerEl);
+
+        // Settings: Automatic creation
+        containerEl.createEl('h3', { text: 'Automatic Creation' });
+        containerEl.createEl('p', {
+            text: 'Create notes when Obsidian starts and when a new day or week begins while it is running, following Day Starts At and Time Zone.',
+            cls: 'setting-item-description',
+        });
+
+        for (const noteType of ['daily', 'weekly'] as const) {
+            new Setting(containerEl)
+                .setName(noteType === 'daily' ? 'Today\'s Daily Note' : 'This Week\'s Weekly Note')
+                .addDropdown(dropdown => dropdown
+                    .addOption('off', 'Off')
+                    .addOption('create', 'Create in the background')
+                    .addOption('open', 'Create and open')
+                    .setValue(this.plugin.settings[`${noteType}AutoCreate` as const])
+                    .onChange(async (value) => {
+                        this.plugin.settings[`${noteType}AutoCreate` as const] = value as AutoCreateMode;
+                        await this.plugin.saveSettings();
+                    }));
+        }
+
+        // Settings: Task rollover
+        containerEl.createEl('h3', { text: 'Task Rollover' });
+
+        new Setting(containerEl)
+            .setName('Roll Over Unfinished Tasks')
+            .setDesc('When a daily note is created, copy the incomplete tasks (with their nested items) from the most recent earlier daily note into it.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.rolloverTasks)
+                .onChange(async (value) => {
+                    this.plugin.settings.rolloverTasks = value;
+                    await this.plugin.saveSettings();
+                    this.display(); // Re-render settings to show/hide rollover options
+                }));
+
+        if (this.plugin.settings.rolloverTasks) {
+            new Setting(containerEl)
+                .setName('Rollover Heading')
+                .setDesc('Tasks are inserted under this heading when the template has no {{rollover}} placeholder. The heading is added at the end of the note if the template does not contain it.')
+                .addText(text => text
+                    .setPlaceholder('e.g., ## Tasks')
+                    .setValue(this.plugin.settings.rolloverHeading)
+                    .onChange(async (value) => {
+                        this.plugin.settings.rolloverHeading = value;
+                        await this.plugin.saveSettings();
+                    }));
+
+            new Setting(containerEl)
+                .setName('Rolled-Over Tasks in the Previous Note')
+                .setDesc('What happens to the original tasks once they have been copied.')
+                .addDropdown(dropdown => dropdown
+                    .addOption('keep', 'Keep them')
+                    .addOption('mark', 'Mark them as moved ([>])')
+                    .addOption('remove', 'Remove them')
+                    .setValue(this.plugin.settings.rolloverOriginalAction)
+                    .onChange(async (value) => {
+                        this.plugin.settings.rolloverOriginalAction = value as RolloverOriginalAction;
+                        await this.plugin.saveSettings();
+                    }));
+
+            new Setting(containerEl)
+                .setName('Headings to Skip')
+                .setDesc('Comma-separated heading names whose tasks are not rolled over (e.g., Someday, Waiting).')
+                .addText(text => text
+                    .setPlaceholder('e.g., Someday, Waiting')
+                    .setValue(this.plugin.settings.rolloverSkipHeadings)
+                    .onChange(async (value) => {
+                        this.plugin.settings.rolloverSkipHeadings = value;
+                        await this.plugin.saveSettings();
+                    }));
+        }
+
+        this.displayImportExport(containerEl);
+    }
+
+    /**
+     * Adds the preview of note paths and the list of problems found in the settings.
+     * Both are updated as settings change.
+     * @param containerEl The element to add the section to.
+     */
+    private displayChecks(containerEl: HTMLElement): void {
+        containerEl.createEl('h3', { text: 'Preview and Checks' });
+        containerEl.createEl('p', {
+            text: 'Where notes of this profile will be saved for today and around the turn of the year, and any problems with the settings below.',
+            cls: 'setting-item-description',
+        });
+        this.checksEl = containerEl.createDiv();
+        this.updateChecks();
+    }
+
+    /**
+     * Renders the path preview and the problems found in the active profile's settings.
+     */
+    private updateChecks(): void {
+        if (!this.checksEl) {
+            return;
+        }
+        const profile = this.plugin.activeProfile;
+        const today = profile.getToday();
+        const year = today.getUTCFullYear();
+        const dates = [
+            { label: 'Today', date: today },
+            { label: `${year}-12-31`, date: calendarDate(year, 11, 31) },
+            { label: `${year + 1}-01-01`, date: calendarDate(year + 1, 0, 1) },
+        ];
+
+        this.checksEl.empty();
+        for (const noteType of NOTE_TYPES) {
+            const setting = new Setting(this.checksEl).setName(`${NOTE_TYPE_LABELS[noteType]} Notes`);
+            for (const { label, date } of dates) {
+                setting.descEl.createDiv({ text: `${label}: ${profile.getNotePath(noteType, date)}` });
+            }
+        }
+
+        const problems = profile.checkSettings();
+        if (problems.length === 0) {
+            this.checksEl.createEl('p', { text: 'No problems found.', cls: 'setting-item-description' });
+            return;
+        }
+        const listEl = this.checksEl.createEl('ul', { cls: 'dwn-settings-problems' });
+        for (const problem of problems) {
+            listEl.createEl('li', { text: problem });
+        }
+    }
+
+    /**
+     * Adds buttons to export the active profile's settings as JSON and to import them again,
+     * e.g. to share one setup within a team.
+     * @param containerEl The element to add the section to.
+     */
+    private displayImportExport(containerEl: HTMLElement): void {
+        containerEl.createEl('h3', { text: 'Import and Export' });
+
+        new Setting(containerEl)
+            .setName('Share Settings')
+            .setDesc('Export copies the settings of this profile to the clipboard as JSON. Import replaces them with pasted JSON.')
+            .addButton(button => button
+                .setButtonText('Export')
+                .onClick(async () => {
+                    const json = JSON.stringify(this.plugin.settings, null, 2);
+                    try {
+                        await navigator.clipboard.writeText(json);
+                        new Notice('Settings copied to the clipboard.');
+                    } catch (error) {
+                        console.error('Could not copy the settings to the clipboard:', error);
+                        new Notice('Could not copy to the clipboard. Copy the settings from the window instead.');
+                        new ExportSettingsModal(this.app, json).open();
+                    }
+                }))
+            .addButton(button => button
+                .setButtonText('Import…')
+                .onClick(() => {
+                    new ImportSettingsModal(this.app, async (settings) => {
+                        await this.plugin.replaceSettings(settings);
+                        this.display();
+                        new Notice(`Imported settings into profile "${this.plugin.activeProfile.name}".`);
+                    }).open();
+                }));
+    }
+
+    /**
+     * Adds the profile switcher and the buttons to add, rename and delete profiles. All other
+     * settings on this tab belong to the selected profile.
+     * @param containerEl The element to add the settings to.
+     */
+    private displayProfiles(containerEl: HTMLElement): void {
+        const profile = this.plugin.activeProfile;
+
+        new Setting(containerEl)
+            .setName('Profile')
+            .setDesc('Each profile is an independent set of notes with its own folders, templates and week settings. '
+                + 'The settings below belong to the selected profile, which is also the one the calendar and the plain commands use.')
+            .addDropdown(dropdown => {
+                for (const candidate of this.plugin.profiles) {
+                    dropdown.addOption(candidate.id, candidate.name);
+                }
+                dropdown.setValue(profile.id)
+                    .onChange(async (value) => {
+                        await this.plugin.setActiveProfile(value);
+                        this.display();
+                    });
+            })
+            .addButton(button => button
+                .setButtonText('Add Profile')
+                .onClick(async () => {
+                    await this.plugin.addProfile(`Profile ${this.plugin.profiles.length + 1}`);
+                    this.display();
+                }))
+            .addButton(button => button
+                .setButtonText('Delete')
+                .setWarning()
+                .setDisabled(this.plugin.profiles.length <= 1)
+                .onClick(async () => {
+                    await this.plugin.removeProfile(profile.id);
+                    this.display();
+                }));
+
+        new Setting(containerEl)
+            .setName('Profile Name')
+            .setDesc('Shown in the profile commands, e.g. "Work: Open Today\'s Note".')
+            .addText(text => text
+                .setValue(profile.name)
+                .onChange(async (value) => {
+                    if (value.trim()) {
+                        profile.config.name = value.trim();
+                        await this.plugin.saveSettings();
+                    }
+                }));
+    }
+
+    /**
+     * Adds the ordered list of template rules and a preview of which template applies to a date.
+     * @param containerEl The element to add the settings to.
+     */
+    private displayTemplateRules(containerEl: HTMLElement): void {
+        containerEl.createEl('h3', { text: 'Template Rules' });
+        containerEl.createEl('p', {
+            text: 'Rules are checked from top to bottom when a note is created; the first rule that matches picks the template. '
+                + 'If none match, the note type\'s template from above is used.',
+            cls: 'setting-item-description',
+        });
+
+        const rules = this.plugin.settings.templateRules;
+        rules.forEach((rule, index) => {
+            let templateInput: HTMLInputElement;
+            const setting = new Setting(containerEl)
+                .setName(`Rule ${index + 1}`)
+                .addDropdown(dropdown => {
+                    for (const noteType of NOTE_TYPES) {
+                        dropdown.addOption(noteType, NOTE_TYPE_LABELS[noteType]);
+                    }
+                    dropdown.setValue(rule.noteType)
+                        .onChange(async (value) => {
+                            rule.noteType = value as NoteType;
+                            await this.plugin.saveSettings();
+                        });
+                })
+                .addDropdown(dropdown => {
+                    for (const condition of Object.keys(TEMPLATE_RULE_CONDITION_LABELS) as TemplateRuleCondition[]) {
+                        dropdown.addOption(condition, TEMPLATE_RULE_CONDITION_LABELS[condition]);
+                    }
+                    dropdown.setValue(rule.condition)
+                        .onChange(async (value) => {
+                            rule.condition = value as TemplateRuleCondition;
+                            rule.value = '';
+                            await this.plugin.saveSettings();
+                            this.display(); // Re-render to show/hide the value field
+                        });
+                });
+
+            if (rule.condition === 'weekday' || rule.condition === 'date_range' || rule.condition === 'holiday') {
+                const placeholders = {
+                    weekday: 'e.g., sat, sun',
+                    date_range: 'e.g., 2026-12-20..2027-01-04',
+                    holiday: 'e.g., Calendar/Holidays.md',
+                };
+                setting.addText(text => text
+                    .setPlaceholder(placeholders[rule.condition as keyof typeof placeholders])
+                    .setValue(rule.value)
+                    .onChange(async (value) => {
+                        rule.value = value;
+                        await this.plugin.saveSettings();
+                    }));
+            }
+
+            setting
+                .addText(text => {
+                    templateInput = text.inputEl;
+                    text.setPlaceholder('Template path')
+                        .setValue(rule.templatePath)
+                        .onChange(async (value) => {
+                            rule.templatePath = value;
+                            await this.plugin.saveSettings();
+                        });
+                })
+                .addExtraButton(button => button
+                    .setIcon('file-search')
+                    .setTooltip('Browse for template')
+                    .onClick(async () => {
+                        try {
+                            rule.templatePath = await new FileSuggester(this.app).openAndGetValue();
+                            templateInput.value = rule.templatePath;
+                            await this.plugin.saveSettings();
+                        } catch (error) {
+                            console.log('Template file selection cancelled.');
+                        }
+                    }))
+                .addExtraButton(button => button
+                    .setIcon('arrow-up')
+                    .setTooltip('Move up')
+                    .setDisabled(index === 0)
+                    .onClick(() => this.moveTemplateRule(index, -1)))
+                .addExtraButton(button => button
+                    .setIcon('arrow-down')
+                    .setTooltip('Move down')
+                    .setDisabled(index === rules.length - 1)
+                    .onClick(() => this.moveTemplateRule(index, 1)))
+                .addExtraButton(button => button
+                    .setIcon('trash')
+                    .setTooltip('Remove rule')
+                    .onClick(async () => {
+                        this.plugin.settings.templateRules = rules.filter((_, i) => i !== index);
+                        await this.plugin.saveSettings();
+                        this.display();
+                    }));
+        });
+
+        new Setting(containerEl)
+            .addButton(button => button
+                .setButtonText('Add Rule')
+                .onClick(async () => {
+                    this.plugin.settings.templateRules = [
+                        ...rules,
+                        { noteType: 'daily', condition: 'weekday', value: 'sat, sun', templatePath: '' },
+                    ];
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+
+        // Preview which template a date would get, to make the rules easy to check
+        let previewDate = 'today';
+        let previewType: NoteType = 'daily';
+        const previewSetting = new Setting(containerEl)
+            .setName('Test Template Rules')
+            .addText(text => text
+                .setPlaceholder('e.g., 2026-12-25 or next saturday')
+                .setValue(previewDate)
+                .onChange(value => {
+                    previewDate = value;
+                    updatePreview();
+                }))
+            .addDropdown(dropdown => {
+                for (const noteType of NOTE_TYPES) {
+                    dropdown.addOption(noteType, NOTE_TYPE_LABELS[noteType]);
+                }
+                dropdown.setValue(previewType)
+                    .onChange(value => {
+                        previewType = value as NoteType;
+                        updatePreview();
+                    });
+            });
+        const updatePreview = async () => {
+            const parsed = this.plugin.activeProfile.parseDateInput(previewDate);
+            if (!parsed) {
+                previewSetting.setDesc(`Could not understand "${previewDate}".`);
+                return;
+            }
+            const { templatePath, ruleIndex } = await this.plugin.activeProfile.getTemplateForDate(previewType, parsed.date);
+            const dateText = this.plugin.activeProfile.formatDate(this.plugin.activeProfile.getPeriodRange(previewType, parsed.date).start, 'dddd YYYY-MM-DD');
+            previewSetting.setDesc(ruleIndex === null
+                ? `${dateText}: no rule matches, uses the default template ${templatePath}`
+                : `${dateText}: rule ${ruleIndex + 1} matches, uses ${templatePath}`);
+        };
+        updatePreview();
+    }
+
+    /**
+     * Swaps a template rule with its neighbour.
+     * @param index The rule to move.
+     * @param direction -1 to move it up, 1 to move it down.
+     */
+    private async moveTemplateRule(index: number, direction: number): Promise<void> {
+        const rules = [...this.plugin.settings.templateRules];
+        [rules[index], rules[index + direction]] = [rules[index + direction], rules[index]];
+        this.plugin.settings.templateRules = rules;
+        await this.plugin.saveSettings();
+        this.display();
+    }
+
+    /**
+     * Adds a template path setting with a text field and a Browse button.
+     * @param containerEl The element to add the setting to.
+     * @param name The setting name.
+     * @param desc The setting description.
+     * @param key The settings key holding the template path.
+     */
+    private addTemplatePathSetting(containerEl: HTMLElement, name: string, desc: string,
+        key: 'monthlyTemplatePath' | 'quarterlyTemplatePath' | 'yearlyTemplatePath'): void {
+        let textInput: HTMLInputElement;
+
+        new Setting(containerEl)
+            .setName(name)
+            .setDesc(desc)
+            .addText(text => {
+                textInput = text.inputEl;
+                text.setPlaceholder('Enter template path')
+                    .setValue(this.plugin.settings[key])
+                    .onChange(async (value) => {
+                        this.plugin.settings[key] = value;
+                        await this.plugin.saveSettings();
+                    });
+            })
+            .addButton(button => {
+                button.setButtonText('Browse')
+                    .setCta()
+                    .onClick(async () => {
+                        const fileSuggester = new FileSuggester(this.app);
+                        try {
+                            const selectedFile = await fileSuggester.openAndGetValue();
+                            this.plugin.settings[key] = selectedFile;
+                            textInput.value = selectedFile;
+                            await this.plugin.saveSettings();
+                        } catch (error) {
+                            console.log('Template file selection cancelled.');
+                        }
+                    });
+            });
+    }
+}
+
+// ====================================================================================================
+// Note Profile
+// One independent set of notes (e.g. "Work" or "Personal") with its own folders, templates and
+// week settings. All date and note logic lives here so several profiles can work side by side.
+// ====================================================================================================
+class NoteProfile {
+    app: App;
+    config: NoteProfileConfig;
+    private localeNamesCache: { locale: string; names: LocaleNames } | null = null;
+    // Existing notes by period ("daily:2026-10-19") and the periods each indexed path belongs to
+    private noteIndex = new Map<string, Set<string>>();
+    private indexedPaths = new Map<string, Map<string, { noteType: NoteType; date: Date }>>();
+    private previousFormats: { noteType: NoteType; format: string }[] = [];
+    // The day and week automatic creation last saw, to notice when a new one begins
+    private autoCreatePeriods: Partial<Record<NoteType, string>> = {};
+    constructor(app: App, config: NoteProfileConfig) {
+        this.app = app;
+        this.config = config;
+    }
+
+    get id(): string {
+        return this.config.id;
+    }
+
+    get name(): string {
+        return this.config.name;
+    }
+
+    get settings(): WeeklyNotePluginSettings {
+        return this.config.settings;
+    }
+
+    /**
+     * Returns today's calendar date, as seen in the configured timezone (or the system one)
+     * and taking the Day Starts At hour into account.
+     * @param now The moment to convert (defaults to the current time).
+     */
+    getToday(now: Date = new Date()): Date {
+        let year = now.getFullYear();
+        let month = now.getMonth();
+        let day = now.getDate();
+        let hour = now.getHours();
+
+        if (this.settings.timeZone) {
+            try {
+                const parts: { [type: string]: number } = {};
+                const formatter = new Intl.DateTimeFormat('en-US', {
+                    timeZone: this.settings.timeZone, hourCycle: 'h23',
+                    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric',
+                });
+                for (const part of formatter.formatToParts(now)) {
+                    parts[part.type] = parseInt(part.value, 10);
+                }
+                year = parts.year;
+                month = parts.month - 1;
+                day = parts.day;
+                hour = parts.hour;
+            } catch (error) {
+                console.warn(`Unknown timezone '${this.settings.timeZone}', using the system timezone.`, error);
+            }
+        }
+
+        // Compare wall-clock hours so a daylight saving change does not move the boundary
+        return calendarDate(year, month, hour < this.settings.dayStartHour ? day - 1 : day);
+    }
+
+    /**
+     * Tells whether a timezone name is understood by Intl, e.g. "Europe/Berlin".
+     */
+    isValidTimeZone(timeZone: string): boolean {
+        return isValidTimeZone(timeZone);
+    }
+
+    /**
+     * Calculates the week number of the year for a given date, using the configured week numbering.
+     * With ISO numbering, week 1 is the first week with at least 4 days in the new year, and it starts on a Monday.
+     * @param date The date to calculate the week of the year for.
+     * @returns The week number (1-indexed).
+     */
+    getWeekOfYear(date: Date): number {
+        return this.getWeekInfo(date).week;
+    }
+
+    /**
+     * Calculates the week a date falls in, using the configured week numbering.
+     * @param date The calendar date to calculate the week for.
+     * @returns The week number, the week-year it belongs to and the first and last day of the week.
+     */
+    getWeekInfo(date: Date): { week: number; weekYear: number; start: Date; end: Date } {
+        return this.getWeekParts(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), this.settings.weekNumbering);
+    }
+
+    /**
+     * Returns the fiscal year start as a month (0-indexed) and day, falling back to January 1st
+     * if the setting cannot be read.
+     */
+    private getFiscalYearStart(): { month: number; day: number } {
+        return parseMonthDay(this.settings.fiscalYearStart) ?? { month: 0, day: 1 };
+    }
+
+    /**
+     * Returns the first day of week 1 of a week-numbering year as a UTC timestamp.
+     * @param weekYear The week-numbering year.
+     * @param system The week numbering system.
+     */
+    private getWeekOneStart(weekYear: number, system: WeekNumbering): number {
+        let anchor: Date; // A date that is always in week 1
+        let weekStartDay: number;
+        switch (system) {
+            case 'us':
+                anchor = new Date(Date.UTC(weekYear, 0, 1));
+                weekStartDay = 0;
+                break;
+            case 'fiscal': {
+                const { month, day } = this.getFiscalYearStart();
+                anchor = new Date(Date.UTC(weekYear, month, day));
+                weekStartDay = this.settings.fiscalWeekStartDay;
+                break;
+            }
+            default:
+                // January 4th is always in ISO week 1
+                anchor = new Date(Date.UTC(weekYear, 0, 4));
+                weekStartDay = 1;
+        }
+        return anchor.getTime() - ((anchor.getUTCDay() - weekStartDay + 7) % 7) * DAY_MS;
+    }
+
+    /**
+     * Calculates the week number, week-year and week boundaries of a calendar date.
+     * @param year The calendar year.
+     * @param month The month (0-indexed).
+     * @param day The day of the month.
+     * @param system The week numbering system.
+     * @returns The week, the year that week belongs to and its first and last day (at UTC midnight).
+     */
+    private getWeekParts(year: number, month: number, day: number, system: WeekNumbering): { week: number; weekYear: number; start: Date; end: Date } {
+        const time = Date.UTC(year, month, day);
+        // Every week-year starts within its own calendar year, so the date belongs to the previous,
+        // current or next week-year
+        let weekYear = year;
+        if (time < this.getWeekOneStart(year, system)) {
+            weekYear = year - 1;
+        } else if (time >= this.getWeekOneStart(year + 1, system)) {
+            weekYear = year + 1;
+        }
+        const weekOneStart = this.getWeekOneStart(weekYear, system);
+        const week = Math.floor((time - weekOneStart) / (7 * DAY_MS)) + 1;
+        const start = weekOneStart + (week - 1) * 7 * DAY_MS;
+        return { week, weekYear, start: new Date(start), end: new Date(start + 6 * DAY_MS) };
+    }
+
+    /**
+     * Calculates the start date (Monday) of the ISO week for a given date.
+     * @param date The date to calculate the week start for.
+     * @returns The Date object representing the Monday of that ISO week.
+     */
+    getISOWeekStartDate(date: Date): Date {
+        const d = new Date(date.getTime());
+        // Set to nearest Thursday (as ISO week calculation uses Thursday as reference)
+        d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7)); // (d.getUTCDay() || 7) converts Sunday (0) to 7
+        // Now d is a Thursday in the target week. Subtract 3 days to get Monday.
+        d.setUTCDate(d.getUTCDate() - 3);
+        return d;
+    }
+
+    /**
+     * Returns month and weekday names for the configured locale, falling back to English
+     * if the locale is not supported.
+     */
+    getLocaleNames(): LocaleNames {
+        const locale = this.settings.locale || 'en';
+        if (this.localeNamesCache && this.localeNamesCache.locale === locale) {
+            return this.localeNamesCache.names;
+        }
+
+        let names: LocaleNames;
+        try {
+            const monthName = (style: 'long' | 'short') => new Intl.DateTimeFormat(locale, { month: style, timeZone: 'UTC' });
+            const weekdayName = (style: 'long' | 'short') => new Intl.DateTimeFormat(locale, { weekday: style, timeZone: 'UTC' });
+            const months = Array.from({ length: 12 }, (_, i) => new Date(Date.UTC(2021, i, 1)));
+            // January 3rd 2021 was a Sunday
+            const weekdays = Array.from({ length: 7 }, (_, i) => new Date(Date.UTC(2021, 0, 3 + i)));
+            names = {
+                months: months.map(d => monthName('long').format(d)),
+                monthsShort: months.map(d => monthName('short').format(d)),
+                weekdays: weekdays.map(d => weekdayName('long').format(d)),
+                weekdaysShort: weekdays.map(d => weekdayName('short').format(d)),
+            };
+        } catch (error) {
+            console.warn(`Locale '${locale}' is not supported. Falling back to English names.`);
+            names = {
+                months: MONTH_NAMES,
+                monthsShort: MONTH_NAMES.map(name => name.substring(0, 3)),
+                weekdays: DAY_NAMES,
+                weekdaysShort: DAY_NAMES.map(name => name.substring(0, 3)),
+            };
+        }
+
+        this.localeNamesCache = { locale, names };
+        return names;
+    }
+
+    /**
+     * Splits a date format string into tokens and literal text in a single pass.
+     * Text in square brackets is always literal, so "[Week] W" yields "Week 43".
+     * @param format The format string.
+     * @returns The tokens and literal runs, in order.
+     */
+    private tokenizeDateFormat(format: string): DateFormatPart[] {
+        const parts: DateFormatPart[] = [];
+        let i = 0;
+        while (i < format.length) {
+            if (format[i] === '[') {
+                const end = format.indexOf(']', i + 1);
+                if (end !== -1) {
+                    parts.push({ literal: format.substring(i + 1, end), escaped: true });
+                    i = end + 1;
+                    continue;
+                }
+            }
+            const token = DATE_TOKENS.find(t => format.startsWith(t, i));
+            if (token) {
+                parts.push({ token });
+                i += token.length;
+            } else {
+                parts.push({ literal: format[i] });
+                i++;
+            }
+        }
+        return parts;
+    }
+
+    /**
+     * Returns the ordinal form of a day of the month (e.g. "1st", "22nd").
+     * Only English has suffixes; other locales use the "1." style.
+     */
+    private getOrdinal(day: number): string {
+        if (!(this.settings.locale || 'en').toLowerCase().startsWith('en')) {
+            return `${day}.`;
+        }
+        if (day % 100 >= 11 && day % 100 <= 13) {
+            return `${day}th`;
+        }
+        const suffixes = ['th', 'st', 'nd', 'rd'];
+        return `${day}${suffixes[day % 10] || 'th'}`;
+    }
+
+    /**
+     * Formats a Date object into a string based on a format string.
+     * Supports YYYY, YY, GGGG/GG (ISO week-year), gggg/gg (week-year in the configured numbering),
+     * MMMM/MMM/MM/M, Q (quarter), DDDD/DDD (day of year), Do (ordinal day), DD/D, dddd/ddd (weekday name),
+     * WW/W (ISO week), ww/w (week in the configured numbering) and E (ISO weekday, 1 = Monday).
+     * Text in square brackets is copied literally.
+     * @param date The Date object to format.
+     * @param format The format string (e.g., "YYYY-MM-DD", "dddd, MMMM Do, YYYY", "GGGG-[W]WW").
+     * @returns The formatted date string.
+     */
+    formatDate(date: Date, format: string): string {
+        // Calendar dates are read in UTC (see calendarDate)
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth(); // Months are 0-indexed
+        const day = date.getUTCDate();
+        const dayOfWeek = date.getUTCDay(); // 0 for Sunday, 1 for Monday, etc.
+        const dayOfYear = Math.round((Date.UTC(year, month, day) - Date.UTC(year, 0, 1)) / DAY_MS) + 1;
+        const isoWeek = this.getWeekParts(year, month, day, 'iso');
+        const localWeek = this.getWeekParts(year, month, day, this.settings.weekNumbering);
+        const names = this.getLocaleNames();
+
+        return this.tokenizeDateFormat(format).map(part => {
+            if ('literal' in part) {
+                return part.literal;
+            }
+            switch (part.token) {
+                case 'YYYY': return year.toString().padStart(4, '0');
+                case 'YY': return year.toString().slice(-2);
+                case 'GGGG': return isoWeek.weekYear.toString().padStart(4, '0');
+                case 'GG': return isoWeek.weekYear.toString().slice(-2);
+                case 'gggg': return localWeek.weekYear.toString().padStart(4, '0');
+                case 'gg': return localWeek.weekYear.toString().slice(-2);
+                case 'MMMM': return names.months[month];
+                case 'MMM': return names.monthsShort[month];
+                case 'MM': return (month + 1).toString().padStart(2, '0');
+                case 'M': return (month + 1).toString();
+                case 'Q': return (Math.floor(month / 3) + 1).toString();
+                case 'DDDD': return dayOfYear.toString().padStart(3, '0');
+                case 'DDD': return dayOfYear.toString();
+                case 'Do': return this.getOrdinal(day);
+                case 'DD': return day.toString().padStart(2, '0');
+                case 'D': return day.toString();
+                case 'dddd': return names.weekdays[dayOfWeek];
+                case 'ddd': return names.weekdaysShort[dayOfWeek];
+                case 'WW': return isoWeek.week.toString().padStart(2, '0');
+                case 'W': return isoWeek.week.toString();
+                case 'ww': return localWeek.week.toString().padStart(2, '0');
+                case 'w': return localWeek.week.toString();
+                case 'E': return (dayOfWeek || 7).toString();
+                default: return part.token;
+            }
+        }).join('');
+    }
+
+    /**
+     * Returns the first and last day of the period a note of the given type covers.
+     * Like getWeekInfo, the returned dates are at UTC midnight.
+     * @param noteType The note type, which determines the period length.
+     * @param date A date within the period.
+     * @returns The start and end dates of the period.
+     */
+    getPeriodRange(noteType: NoteType, date: Date): { start: Date; end: Date } {
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth();
+        switch (noteType) {
+            case 'weekly': {
+                const { start, end } = this.getWeekInfo(date);
+                return { start, end };
+            }
+            case 'monthly':
+                return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 0)) };
+            case 'quarterly': {
+                const quarterStartMonth = month - (month % 3);
+                return { start: new Date(Date.UTC(year, quarterStartMonth, 1)), end: new Date(Date.UTC(year, quarterStartMonth + 3, 0)) };
+            }
+            case 'yearly':
+                return { start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year, 11, 31)) };
+            default:
+                return { start: date, end: date };
+        }
+    }
+
+    /**
+     * Returns the template path, filename format and folder pattern configured for a note type.
+     */
+    private getNoteTypeSettings(noteType: NoteType): { templatePath: string; fileNameFormat: string; folderFormat: string } {
+        switch (noteType) {
+            case 'weekly':
+                return { templatePath: this.settings.weeklyTemplatePath, fileNameFormat: this.settings.fileNameFormat, folderFormat: this.settings.weeklyFolderFormat };
+            case 'monthly':
+                return { templatePath: this.settings.monthlyTemplatePath, fileNameFormat: this.settings.monthlyFileNameFormat, folderFormat: this.settings.monthlyFolderFormat };
+            case 'quarterly':
+                return { templatePath: this.settings.quarterlyTemplatePath, fileNameFormat: this.settings.quarterlyFileNameFormat, folderFormat: this.settings.quarterlyFolderFormat };
+            case 'yearly':
+                return { templatePath: this.settings.yearlyTemplatePath, fileNameFormat: this.settings.yearlyFileNameFormat, folderFormat: this.settings.yearlyFolderFormat };
+            default:
+                return { templatePath: this.settings.dailyTemplatePath, fileNameFormat: this.settings.dailyFileNameFormat, folderFormat: this.settings.dailyFolderFormat };
+        }
+    }
+
+    /**
+     * Picks the template for a new note: the template of the first matching rule for the note
+     * type, or the note type's default template if no rule matches.
+     * @param noteType The type of note.
+     * @param date The date the note is for.
+     * @returns The template path, and the index of the matching rule (null for the default).
+     */
+    async getTemplateForDate(noteType: NoteType, date: Date): Promise<{ templatePath: string; ruleIndex: number | null }> {
+        const rules = this.settings.templateRules;
+        for (let i = 0; i < rules.length; i++) {
+            if (rules[i].noteType === noteType && rules[i].templatePath && await this.matchesTemplateRule(rules[i], noteType, date)) {
+                return { templatePath: rules[i].templatePath, ruleIndex: i };
+            }
+        }
+        return { templatePath: this.getNoteTypeSettings(noteType).templatePath, ruleIndex: null };
+    }
+
+    /**
+     * Tests a template rule's condition against the period of a note. Weekday and
+     * first-weekday conditions look at the first day of the period; ranges and holidays
+     * match if they overlap any day of it.
+     */
+    private async matchesTemplateRule(rule: TemplateRule, noteType: NoteType, date: Date): Promise<boolean> {
+        const { start, end } = this.getPeriodRange(noteType, date);
+
+        switch (rule.condition) {
+            case 'weekday': {
+                const days = this.parseWeekdays(rule.value);
+                return days.includes(start.getUTCDay());
+            }
+            case 'first_weekday_of_month': {
+                // The first Monday-Friday of the month is always within its first three days
+                const weekday = start.getUTCDay();
+                if (weekday === 0 || weekday === 6) {
+                    return false;
+                }
+                return start.getUTCDate() === 1 || (weekday === 1 && start.getUTCDate() <= 3);
+            }
+            case 'last_week_of_quarter': {
+                // The week (per the Week Numbering setting) contains March 31, June 30, September 30 or December 31
+                const week = this.getWeekInfo(start);
+                for (let time = week.start.getTime(); time <= week.end.getTime(); time += DAY_MS) {
+                    const day = new Date(time);
+                    if (day.getUTCMonth() % 3 === 2 && new Date(time + DAY_MS).getUTCDate() === 1) {
+                        return true;
+                    }
+                }
+                return false;
+            }
+            case 'date_range': {
+                const dates = this.parseIsoDates(rule.value);
+                if (dates.length === 0) {
+                    console.warn(`Template rule range "${rule.value}" does not contain a YYYY-MM-DD date.`);
+                    return false;
+                }
+                const rangeEnd = dates.length > 1 ? dates[1] : dates[0];
+                return dates[0] <= end.getTime() && rangeEnd >= start.getTime();
+            }
+            case 'holiday': {
+                const file = this.app.vault.getAbstractFileByPath(normalizePath(rule.value));
+                if (!(file instanceof TFile)) {
+                    console.warn(`Holidays file not found at: ${rule.value}`);
+                    return false;
+                }
+                const holidays = this.parseIsoDates(await this.app.vault.cachedRead(file));
+                return holidays.some(time => time >= start.getTime() && time <= end.getTime());
+            }
+        }
+    }
+
+    /**
+     * Parses a list of weekdays such as "sat, sun", "Saturday Sunday" or ISO numbers "6, 7".
+     * @returns The weekdays as JavaScript day numbers (0 for Sunday).
+     */
+    private parseWeekdays(value: string): number[] {
+        const days: number[] = [];
+        for (const part of value.toLowerCase().split(/[\s,]+/).filter(part => part)) {
+            if (/^[1-7]$/.test(part)) {
+                days.push(Number(part) % 7);
+                continue;
+            }
+            const index = DAY_NAMES.findIndex(name => part.length >= 2 && name.toLowerCase().startsWith(part));
+            if (index !== -1) {
+                days.push(index);
+            }
+        }
+        return days;
+    }
+
+    /**
+     * Extracts every YYYY-MM-DD date from a text, e.g. a holidays file with one date per line.
+     * @returns The dates as UTC midnight timestamps, in the order they appear.
+     */
+    private parseIsoDates(text: string): number[] {
+        const dates: number[] = [];
+        for (const match of text.matchAll(ISO_DATE_REGEX)) {
+            dates.push(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        }
+        return dates;
+    }
+
+    /**
+     * Builds the placeholder replacements shared by filenames and template content.
+     * @param noteType The note type, which determines {{period_start}} and {{period_end}}.
+     * @param date The date the note is created for.
+     * @returns A map of placeholder to replacement value.
+     */
+    private buildReplacements(noteType: NoteType, date: Date): { [key: string]: string } {
+        // Calculate week-related data always, as it might be used for daily notes too (e.g., week property/tag)
+        const week = this.getWeekInfo(date);
+        const weekOfYear = week.week;
+        const formattedWeekStartDate = this.formatDate(week.start, this.settings.weekStartDateFormat);
+        const formattedWeekEndDate = this.formatDate(week.end, this.settings.weekStartDateFormat);
+        const period = this.getPeriodRange(noteType, date);
+        const month = date.getUTCMonth();
+
+        return {
+            '{{year}}': date.getUTCFullYear().toString(),
+            '{{month}}': (month + 1).toString().padStart(2, '0'),
+            '{{month_name}}': this.getLocaleNames().months[month],
+            '{{quarter}}': (Math.floor(month / 3) + 1).toString(),
+            '{{period_start}}': this.formatDate(period.start, this.settings.periodDateFormat),
+            '{{period_end}}': this.formatDate(period.end, this.settings.periodDateFormat),
+            '{{woy}}': weekOfYear.toString(),
+            '{{week_of_year}}': weekOfYear.toString(),
+            '{{wsd}}': formattedWeekStartDate,
+            '{{week_start_date}}': formattedWeekStartDate,
+            '{{wed}}': formattedWeekEndDate,
+            '{{week_end_date}}': formattedWeekEndDate,
+            '{{wy}}': week.weekYear.toString(),
+            '{{week_year}}': week.weekYear.toString(),
+            // Daily specific placeholder (always available, but only used if dailyDateFormat is set)
+            '{{date}}': this.formatDate(date, this.settings.dailyDateFormat),
+        };
+    }
+
+    /**
+     * Renders a template for a new note. Supports every placeholder from buildReplacements
+     * (without the braces), {{name:format}} and {{name+1d}} on date values, {{#if}}/{{else}}
+     * blocks, {{#each week_days}} loops and {{include:path}} partials. {{rollover}} and
+     * {{week_days}} are left in place for createNote to fill in.
+     * @param template The template content.
+     * @param noteType The type of note being created.
+     * @param date The date of the note.
+     * @param notePath The path of the new note, used for links.
+     * @param errors Collects unknown placeholders and syntax errors; they are left in the output as written.
+     * @returns The rendered content.
+     */
+    async renderTemplate(template: string, noteType: NoteType, date: Date, notePath: string, errors: string[]): Promise<string> {
+        const week = this.getWeekInfo(date);
+        const period = this.getPeriodRange(noteType, date);
+        const scope: TemplateScope = {};
+
+        for (const [placeholder, value] of Object.entries(this.buildReplacements(noteType, date))) {
+            scope[placeholder.slice(2, -2)] = value;
+        }
+        scope.date = { date, format: this.settings.dailyDateFormat };
+        scope.wsd = scope.week_start_date = { date: week.start, format: this.settings.weekStartDateFormat };
+        scope.wed = scope.week_end_date = { date: week.end, format: this.settings.weekStartDateFormat };
+        scope.period_start = { date: period.start, format: this.settings.periodDateFormat };
+        scope.period_end = { date: period.end, format: this.settings.periodDateFormat };
+        scope.weekday = this.formatDate(date, 'dddd');
+        scope.title = notePath.split('/').pop()!.replace(/\.md$/, '');
+        scope.previous = this.getNoteLink(this.getNotePath(noteType, this.shiftDate(noteType, date, -1)), notePath);
+        scope.next = this.getNoteLink(this.getNotePath(noteType, this.shiftDate(noteType, date, 1)), notePath);
+
+        const context = { noteType, date, notePath, errors };
+        return this.renderTemplateNodes(this.parseTemplate(template, errors), [scope], context, 0);
+    }
+
+    /**
+     * Parses a template into a tree of text, placeholders and blocks. Block tags that sit on a
+     * line of their own remove that line. Unbalanced block tags are reported; an unclosed
+     * block runs to the end of the template.
+     */
+    private parseTemplate(template: string, errors: string[]): TemplateNode[] {
+        const root: TemplateNode[] = [];
+        // Open blocks, innermost last, with the list new nodes are currently added to
+        const stack: { node: TemplateNode & { type: 'if' | 'each' }; target: TemplateNode[] }[] = [];
+        const current = () => stack.length ? stack[stack.length - 1].target : root;
+        const tagRegex = /{{\s*([^{}]*?)\s*}}/g;
+        let lastIndex = 0;
+        let match: RegExpExecArray | null;
+
+        while ((match = tagRegex.exec(template)) !== null) {
+            const raw = match[0];
+            const tag = match[1];
+            let textEnd = match.index;
+            let nextIndex = tagRegex.lastIndex;
+
+            // A block tag on a line of its own takes the whole line with it, so blocks don't leave blank lines
+            if (/^(?:#if\s|#each\s|else$|\/if$|\/each$)/.test(tag)) {
+                const lineStart = template.lastIndexOf('\n', match.index - 1) + 1;
+                const lineEnd = template.indexOf('\n', nextIndex);
+                const rest = template.slice(nextIndex, lineEnd === -1 ? template.length : lineEnd);
+                if (lineStart >= lastIndex && !template.slice(lineStart, match.index).trim() && !rest.trim()) {
+                    textEnd = lineStart;
+                    nextIndex = lineEnd === -1 ? template.length : lineEnd + 1;
+                }
+            }
+
+            if (textEnd > lastIndex) {
+                current().push({ type: 'text', text: template.slice(lastIndex, textEnd) });
+            }
+            lastIndex = nextIndex;
+            let parts: RegExpExecArray | null;
+
+            if ((parts = /^#if\s+([a-z_]+)(?:\s*(==|!=)\s*(?:"([^"]*)"|'([^']*)'|(\S+)))?$/i.exec(tag))) {
+                const node: TemplateNode = {
+                    type: 'if', raw, name: parts[1], operator: (parts[2] as '==' | '!=') ?? null,
+                    operand: parts[3] ?? parts[4] ?? parts[5] ?? '', then: [], else: [],
+                };
+                current().push(node);
+                stack.push({ node, target: node.then });
+            } else if (tag === 'else') {
+                const open = stack[stack.length - 1];
+                if (open && open.node.type === 'if' && open.target === open.node.then) {
+                    open.target = open.node.else;
+                } else {
+                    errors.push('{{else}} without a matching {{#if}}.');
+                    current().push({ type: 'text', text: raw });
+                }
+            } else if ((parts = /^#each\s+([a-z_]+)$/i.exec(tag))) {
+                const node: TemplateNode = { type: 'each', raw, name: parts[1], body: [] };
+                current().push(node);
+                stack.push({ node, target: node.body });
+            } else if (tag === '/if' || tag === '/each') {
+                const open = stack[stack.length - 1];
+                if (open && `/${open.node.type}` === tag) {
+                    stack.pop();
+                } else {
+                    errors.push(`{{${tag}}} without a matching {{#${tag.slice(1)}}}.`);
+                    current().push({ type: 'text', text: raw });
+                }
+            } else if ((parts = /^include:\s*(.+)$/.exec(tag))) {
+                current().push({ type: 'include', raw, path: parts[1] });
+            } else if ((parts = /^([a-z_]+)([+-]\d+[dwmy])?(?::(.+))?$/i.exec(tag))) {
+                current().push({ type: 'value', raw, name: parts[1], offset: parts[2] ?? null, format: parts[3] ?? null });
+            } else {
+                errors.push(`Invalid placeholder ${raw}.`);
+                current().push({ type: 'text', text: raw });
+            }
+        }
+
+        if (lastIndex < template.length) {
+            current().push({ type: 'text', text: template.slice(lastIndex) });
+        }
+        for (const open of stack) {
+            errors.push(`${open.node.raw} is never closed with {{/${open.node.type}}}.`);
+        }
+        return root;
+    }
+
+    /**
+     * Renders parsed template nodes. Scopes are searched innermost first, so loop variables
+     * shadow the note's own values.
+     */
+    private async renderTemplateNodes(nodes: TemplateNode[], scopes: TemplateScope[],
+        context: { noteType: NoteType; date: Date; notePath: string; errors: string[] }, depth: number): Promise<string> {
+        const lookup = (name: string) => {
+            for (let i = scopes.length - 1; i >= 0; i--) {
+                if (name in scopes[i]) {
+                    return scopes[i][name];
+                }
+            }
+            return undefined;
+        };
+        let output = '';
+
+        for (const node of nodes) {
+            switch (node.type) {
+                case 'text':
+                    output += node.text;
+                    break;
+
+                case 'value': {
+                    const value = lookup(node.name);
+                    if (value === undefined) {
+                        if (!DEFERRED_PLACEHOLDERS.includes(node.name) || node.offset || node.format) {
+                            context.errors.push(`Unknown placeholder ${node.raw}.`);
+                        }
+                        output += node.raw;
+                    } else if (typeof value === 'string') {
+                        if (node.offset || node.format) {
+                            context.errors.push(`${node.raw}: "${node.name}" is not a date, so it cannot take an offset or format.`);
+                        }
+                        output += value;
+                    } else {
+                        const shifted = node.offset ? this.offsetDate(value.date, node.offset) : value.date;
+                        output += this.formatDate(shifted, node.format ?? value.format);
+                    }
+                    break;
+                }
+
+                case 'if': {
+                    const value = lookup(node.name);
+                    if (value === undefined) {
+                        context.errors.push(`Unknown placeholder "${node.name}" in ${node.raw}.`);
+                    }
+                    const text = value === undefined ? '' : typeof value === 'string' ? value : this.formatDate(value.date, value.format);
+                    const matches = node.operator === '==' ? text === node.operand
+                        : node.operator === '!=' ? text !== node.operand
+                        : text !== '';
+                    output += await this.renderTemplateNodes(matches ? node.then : node.else, scopes, context, depth);
+                    break;
+                }
+
+                case 'each': {
+                    if (node.name !== 'week_days') {
+                        context.errors.push(`${node.raw}: only {{#each week_days}} is supported.`);
+                        break;
+                    }
+                    const weekStart = this.getWeekInfo(context.date).start;
+                    for (let offset = 0; offset < 7; offset++) {
+                        const day = new Date(weekStart.getTime() + offset * DAY_MS);
+                        const existing = this.findNote('daily', day);
+                        const path = existing ? existing.path : this.getNotePath('daily', day);
+                        const dayScope: TemplateScope = {
+                            date: { date: day, format: this.settings.dailyDateFormat },
+                            weekday: this.formatDate(day, 'dddd'),
+                            path,
+                            link: this.getNoteLink(path, context.notePath),
+                            exists: existing ? 'true' : '',
+                        };
+                        output += await this.renderTemplateNodes(node.body, [...scopes, dayScope], context, depth);
+                    }
+                    break;
+                }
+
+                case 'include': {
+                    if (depth >= MAX_INCLUDE_DEPTH) {
+                        context.errors.push(`${node.raw}: includes are nested more than ${MAX_INCLUDE_DEPTH} levels deep (circular include?).`);
+                        break;
+                    }
+                    const path = normalizePath(node.path);
+                    const file = this.app.vault.getAbstractFileByPath(path) ?? this.app.vault.getAbstractFileByPath(`${path}.md`);
+                    if (!(file instanceof TFile)) {
+                        context.errors.push(`${node.raw}: file not found.`);
+                        output += node.raw;
+                        break;
+                    }
+                    const partial = this.parseTemplate(await this.app.vault.read(file), context.errors);
+                    output += await this.renderTemplateNodes(partial, scopes, context, depth + 1);
+                    break;
+                }
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Applies a template offset such as "+1d", "-2w", "+1m" or "-1y" to a UTC date. Adding
+     * months or years keeps the day of month where possible, e.g. January 31 + 1m is February 28.
+     */
+    private offsetDate(date: Date, offset: string): Date {
+        const amount = parseInt(offset.slice(0, -1), 10);
+        const unit = offset.slice(-1);
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth();
+        const day = date.getUTCDate();
+
+        if (unit === 'd' || unit === 'w') {
+            return new Date(Date.UTC(year, month, day + amount * (unit === 'w' ? 7 : 1)));
+        }
+        const targetMonth = month + amount * (unit === 'y' ? 12 : 1);
+        const lastDay = new Date(Date.UTC(year, targetMonth + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(year, targetMonth, Math.min(day, lastDay)));
+    }
+
+    /**
+     * Builds a link to a note from another note. Existing notes follow the vault's link
+     * settings; notes that do not exist yet get a wikilink to their full path.
+     */
+    private getNoteLink(path: string, sourcePath: string): string {
+        const file = this.app.vault.getAbstractFileByPath(path);
+        return file instanceof TFile
+            ? this.app.fileManager.generateMarkdownLink(file, sourcePath)
+            : this.getPropertyLink(path);
+    }
+
+    /**
+     * Builds a link to the note of a type and date for use in another note. Renamed or
+     * archived notes are found like findNote does; otherwise the link points to where the
+     * note would be created.
+     * @param noteType The type of note to link to.
+     * @param date A date within the note's period.
+     * @param sourcePath The path of the note the link goes into.
+     * @param alias Optional text to show instead of the note name.
+     */
+    getPeriodicNoteLink(noteType: NoteType, date: Date, sourcePath: string, alias?: string): string {
+        const file = this.findNote(noteType, date);
+        if (file) {
+            return this.app.fileManager.generateMarkdownLink(file, sourcePath, undefined, alias);
+        }
+        const linkPath = this.getNotePath(noteType, date).replace(/\.md$/, '');
+        const display = alias ?? linkPath.split('/').pop();
+        return display === linkPath ? `[[${linkPath}]]` : `[[${linkPath}|${display}]]`;
+    }
+
+    /**
+     * Adds a line linking to the previous day, the week's weekly note and the next day at the
+     * top of a daily note's body, below the frontmatter.
+     * @param content The note content.
+     * @param date The date of the daily note.
+     * @param notePath The path of the daily note.
+     */
+    private insertDailyNoteLinks(content: string, date: Date, notePath: string): string {
+        const links = [
+            this.getPeriodicNoteLink('daily', this.shiftDate('daily', date, -1), notePath, '← Previous Day'),
+            this.getPeriodicNoteLink('weekly', date, notePath, `Week ${this.getWeekOfYear(date)}`),
+            this.getPeriodicNoteLink('daily', this.shiftDate('daily', date, 1), notePath, 'Next Day →'),
+        ].join(' | ');
+        const { contentStart } = getFrontMatterInfo(content);
+        return `${content.substring(0, contentStart)}${links}\n\n${content.substring(contentStart)}`;
+    }
+
+    /**
+     * Computes the filename of the note for a given type and date.
+     * @param noteType The type of note.
+     * @param date The date the note is for.
+     * @returns The filename of the note, including the .md extension.
+     */
+    private getNoteFileName(noteType: NoteType, date: Date, format: string = this.getNoteTypeSettings(noteType).fileNameFormat): string {
+        const replacements = this.buildReplacements(noteType, date);
+        let fileName = this.applyInlineDateFormats(noteType, date, format);
+
+        // Apply replacements to filename string
+        for (const placeholder in replacements) {
+            fileName = fileName.replace(new RegExp(placeholder, 'g'), () => replacements[placeholder]);
+        }
+
+        // Ensure the filename ends with .md if not already present
+        if (!fileName.endsWith('.md')) {
+            fileName += '.md';
+        }
+
+        return fileName;
+    }
+
+    /**
+     * Replaces date placeholders with an inline format, e.g. {{date:DD.MM.YYYY}}, in a filename format.
+     */
+    private applyInlineDateFormats(noteType: NoteType, date: Date, format: string): string {
+        const week = this.getWeekInfo(date);
+        const period = this.getPeriodRange(noteType, date);
+        const dates: { [name: string]: Date } = {
+            date, wsd: week.start, week_start_date: week.start, wed: week.end, week_end_date: week.end,
+            period_start: period.start, period_end: period.end,
+        };
+        return format.replace(FILENAME_DATE_FORMAT_REGEX, (_, name: string, dateFormat: string) =>
+            this.formatDate(dates[name], dateFormat));
+    }
+
+    /**
+     * Computes the vault path of the note for a given type and date.
+     * @param noteType The type of note.
+     * @param date The date the note is for.
+     * @returns The full path of the note, including the .md extension.
+     */
+    getNotePath(noteType: NoteType, date: Date): string {
+        const folder = this.getNoteFolder(noteType, date);
+        return normalizePath(folder ? `${folder}/${this.getNoteFileName(noteType, date)}` : this.getNoteFileName(noteType, date));
+    }
+
+    /**
+     * Returns the folder pattern of a note type, falling back to the calendar folder.
+     */
+    private getFolderFormat(noteType: NoteType): string {
+        return this.getNoteTypeSettings(noteType).folderFormat || this.settings.calendarFolderPath;
+    }
+
+    /**
+     * Tells whether a folder path segment is a date format. A segment is formatted when it
+     * contains date tokens and no letters outside of them, so "YYYY" and "MM-MMMM" are dates
+     * while "Daily" and "Journal" are kept as typed. Bracketed text counts as part of a date segment.
+     */
+    private isDateSegment(segment: string): boolean {
+        const parts = this.tokenizeDateFormat(segment);
+        return parts.some(part => 'token' in part)
+            && parts.every(part => 'token' in part || part.escaped || !/\p{L}/u.test(part.literal));
+    }
+
+    /**
+     * Computes the folder of the note for a given type and date by formatting the date segments
+     * of the folder pattern. Notes longer than a day use the start of their period, so every
+     * note of a week that spans New Year lands in the same folder.
+     * @param noteType The type of note.
+     * @param date The date the note is for.
+     * @returns The folder path (empty for the vault root).
+     */
+    getNoteFolder(noteType: NoteType, date: Date): string {
+        const folderDate = this.getPeriodRange(noteType, date).start;
+        return this.getFolderFormat(noteType)
+            .split('/')
+            .filter(segment => segment !== '')
+            .map(segment => this.isDateSegment(segment) ? this.formatDate(folderDate, segment) : segment)
+            .join('/');
+    }
+
+    /**
+     * Returns the part of a note type's folder that does not depend on the date,
+     * i.e. the segments before the first date segment.
+     */
+    getNoteFolderRoot(noteType: NoteType): string {
+        const segments = this.getFolderFormat(noteType).split('/').filter(segment => segment !== '');
+        const firstDateSegment = segments.findIndex(segment => this.isDateSegment(segment));
+        return (firstDateSegment === -1 ? segments : segments.slice(0, firstDateSegment)).join('/');
+    }
+
+    /**
+     * Checks the settings for problems that would otherwise only show up once notes are
+     * created: filenames that create folders or contain characters that are not allowed,
+     * formats that give several days, weeks, ... the same path, and missing templates.
+     * @returns One message per problem; empty if there are none.
+     */
+    checkSettings(): string[] {
+        const problems: string[] = [];
+        const today = this.getToday();
+
+        for (const noteType of NOTE_TYPES) {
+            const label = NOTE_TYPE_LABELS[noteType];
+            const fileName = this.getNoteFileName(noteType, today);
+            if (fileName.includes('/')) {
+                problems.push(`${label} filename "${fileName}" contains "/", which creates folders. Use the ${label} Folder Pattern for folders instead.`);
+            }
+            const fileNameCharacters = this.findIllegalCharacters(fileName);
+            if (fileNameCharacters) {
+                problems.push(`${label} filename "${fileName}" contains ${fileNameCharacters}, which cannot be used in filenames or breaks links.`);
+            }
+            const folder = this.getNoteFolder(noteType, today);
+            const folderCharacters = this.findIllegalCharacters(folder);
+            if (folderCharacters) {
+                problems.push(`${label} folder "${folder}" contains ${folderCharacters}, which cannot be used in folder names.`);
+            }
+
+            const collision = this.findPathCollision(noteType, today);
+            if (collision) {
+                problems.push(`${label} notes for ${this.formatDate(collision.first, 'YYYY-MM-DD')} and ${this.formatDate(collision.second, 'YYYY-MM-DD')} `
+                    + `would both be saved as "${collision.path}". Add the year${noteType === 'daily' ? ' or day' : ''} to the filename or folder pattern.`);
+            }
+
+            const { templatePath } = this.getNoteTypeSettings(noteType);
+            if (templatePath && !(this.app.vault.getAbstractFileByPath(templatePath) instanceof TFile)) {
+                problems.push(`${label} template "${templatePath}" does not exist, so new ${noteType} notes will start almost empty.`);
+            }
+        }
+
+        this.settings.templateRules.forEach((rule, index) => {
+            if (rule.templatePath && !(this.app.vault.getAbstractFileByPath(rule.templatePath) instanceof TFile)) {
+                problems.push(`Template rule ${index + 1} uses "${rule.templatePath}", which does not exist.`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Lists the characters of a filename or folder that are not allowed or break links.
+     * @returns The characters quoted and comma-separated (e.g. '":", "?"'), or an empty string.
+     */
+    private findIllegalCharacters(text: string): string {
+        const characters = new Set(text.match(ILLEGAL_FILENAME_CHARACTERS) ?? []);
+        return Array.from(characters).map(character => `"${character}"`).join(', ');
+    }
+
+    /**
+     * Looks for two periods of a type that would get the same note path, from the start of last
+     * year to the end of next year. That catches formats without a year (e.g. "WO{{woy}}") or
+     * without a day. Paths are compared case-insensitively, like most file systems do.
+     * @returns The first two dates that collide and their path, or null if there are none.
+     */
+    private findPathCollision(noteType: NoteType, today: Date): { first: Date; second: Date; path: string } | null {
+        const seen = new Map<string, Date>();
+        const end = calendarDate(today.getUTCFullYear() + 1, 11, 31).getTime();
+        let date = this.getPeriodRange(noteType, calendarDate(today.getUTCFullYear() - 1, 0, 1)).start;
+        while (date.getTime() <= end) {
+            const path = this.getNotePath(noteType, date);
+            const first = seen.get(path.toLowerCase());
+            if (first) {
+                return { first, second: date, path };
+            }
+            seen.set(path.toLowerCase(), date);
+            date = this.shiftDate(noteType, date, 1);
+        }
+        return null;
+    }
+
+    /**
+     * Creates a folder and any missing parent folders.
+     * @param folderPath The folder to create.
+     */
+    private async ensureFolder(folderPath: string) {
+        let currentPath = '';
+        for (const segment of normalizePath(folderPath).split('/')) {
+            if (!segment) {
+                continue;
+            }
+            currentPath = currentPath ? `${currentPath}/${segment}` : segment;
+            const folder = this.app.vault.getAbstractFileByPath(currentPath);
+            if (!folder || !(folder instanceof TFolder)) {
+                console.log(`Folder '${currentPath}' does not exist. Creating it.`);
+                await this.app.vault.createFolder(currentPath);
+            }
+        }
+    }
+
+    /**
+     * Core logic to create or open a note.
+     * @param noteType The type of note to create or open
+     * @param targetDate Optional calendar date to use instead of today
+     * @param open Whether to open the note (the commands always do; API callers can opt out)
+     * @param newTab Whether to open the note in a new tab instead of the active one
+     * @returns The existing or newly created note.
+     */
+    async processNote(noteType: NoteType, targetDate?: Date, open: boolean = true, newTab: boolean = false): Promise<TFile> {
+        const now = targetDate || this.getToday();
+
+        // Check if the note already exists, at its computed path or anywhere the index found it
+        let file = this.findNote(noteType, now);
+
+        if (file) {
+            console.log(`File '${file.path}' already exists.`);
+        } else {
+            file = await this.createNote(noteType, now);
+        }
+
+        if (open) {
+            this.app.workspace.openLinkText(file.path, file.path, newTab);
+            this.triggerNoteEvent('note-opened', file, noteType, now);
+        }
+        return file;
+    }
+
+    /**
+     * Triggers one of the plugin's workspace events, e.g. `daily-weekly-notes:note-created`.
+     */
+    private triggerNoteEvent(name: 'note-created' | 'note-opened', file: TFile, noteType: NoteType, date: Date) {
+        const event: NoteEvent = {
+            file,
+            noteType,
+            date: this.toLocalDate(this.getPeriodRange(noteType, date).start),
+            profile: this.name,
+        };
+        this.app.workspace.trigger(`${EVENT_PREFIX}:${name}`, event);
+    }
+
+    /**
+     * Converts a date given to the public API into a calendar date (see calendarDate).
+     * Defaults to today; throws if text cannot be understood.
+     */
+    toCalendarDate(date?: ApiDateInput): Date {
+        if (date === undefined) {
+            return this.getToday();
+        }
+        if (date instanceof Date) {
+            return calendarDate(date.getFullYear(), date.getMonth(), date.getDate());
+        }
+        const parsed = this.parseDateInput(date);
+        if (!parsed) {
+            throw new Error(`Could not understand the date "${date}".`);
+        }
+        return parsed.date;
+    }
+
+    /**
+     * Converts a calendar date into a Date at local midnight of the same day, for API callers.
+     */
+    toLocalDate(date: Date): Date {
+        return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    }
+
+    /**
+     * Creates a note from its template without opening it. The caller is responsible for
+     * checking that the note does not exist yet.
+     * @param noteType The type of note to create
+     * @param now The date to create the note for
+     * @param options Set rollover to false to skip task rollover (e.g. when creating notes in bulk)
+     * @returns The created file.
+     */
+    private async createNote(noteType: NoteType, now: Date, options: { rollover?: boolean } = {}): Promise<TFile> {
+        const folderPath = this.getNoteFolder(noteType, now);
+        const { templatePath } = await this.getTemplateForDate(noteType, now);
+        let templateContent: string = '';
+        const replacements = this.buildReplacements(noteType, now);
+        // Week numbers only mean something for notes that fall within a single week
+        const isWeekBased = noteType === 'daily' || noteType === 'weekly';
+        const weekOfYear = this.getWeekOfYear(now);
+        const fullPath = this.getNotePath(noteType, now);
+
+        // 1. Ensure the target folder (and any parent folders) exists
+        await this.ensureFolder(folderPath);
+
+        // 2. Create the note from the template
+        console.log(`File '${fullPath}' does not exist. Creating it from template.`);
+        const templateFile = this.app.vault.getAbstractFileByPath(templatePath);
+
+        if (templateFile instanceof TFile) {
+            templateContent = await this.app.vault.read(templateFile);
+            console.log(`Template '${templatePath}' read successfully.`);
+        } else {
+            console.warn(`Template file not found at: ${templatePath}. Creating an empty file.`);
+            // Fallback: if template is not found, create a basic note
+            switch (noteType) {
+                case 'weekly':
+                    templateContent = `# Weekly Note WO${weekOfYear}\n\n`;
+                    break;
+                case 'monthly':
+                    templateContent = `# Monthly Note ${replacements['{{month_name}}']} ${replacements['{{year}}']}\n\n`;
+                    break;
+                case 'quarterly':
+                    templateContent = `# Quarterly Note Q${replacements['{{quarter}}']} ${replacements['{{year}}']}\n\n`;
+                    break;
+                case 'yearly':
+                    templateContent = `# Yearly Note ${replacements['{{year}}']}\n\n`;
+                    break;
+                default: // Daily note fallback
+                    templateContent = `# Daily Note ${replacements['{{date}}']}\n\n`;
+            }
+        }
+
+        // Render placeholders, conditionals, loops and includes
+        const errors: string[] = [];
+        templateContent = await this.renderTemplate(templateContent, noteType, now, fullPath, errors);
+        if (errors.length > 0) {
+            console.warn(`Problems in template '${templatePath}':`, errors);
+            new Notice(`Problems in template '${templatePath}':\n${errors.map(error => `• ${error}`).join('\n')}`, 10000);
+        }
+
+        // --- Roll over unfinished tasks from the previous daily note (if enabled) ---
+        let rolloverSource: TFile | null = null;
+        if (noteType === 'daily' && this.settings.rolloverTasks && options.rollover !== false) {
+            rolloverSource = this.findPreviousDailyNote(now);
+            const tasks = rolloverSource
+                ? this.collectIncompleteTasks(await this.app.vault.read(rolloverSource)).tasks
+                : [];
+            templateContent = this.insertRolloverTasks(templateContent, tasks);
+            if (tasks.length === 0) {
+                rolloverSource = null; // Nothing to update in the previous note
+            } else {
+                console.log(`Rolled over ${tasks.length} task(s) from '${rolloverSource!.path}'.`);
+            }
+        }
+        templateContent = templateContent.replace(/{{rollover}}/g, '');
+
+        // --- Build the weekly rollup of the week's daily notes ---
+        if (noteType === 'weekly' && templateContent.includes('{{week_days}}')) {
+            const rollup = await this.buildWeeklyRollup(now, fullPath);
+            // A function replacer, so "$" in copied tasks and highlights (e.g. $$x^2$$) stays as written
+            templateContent = templateContent.replace(/{{week_days}}/g, () => rollup);
+        }
+        templateContent = templateContent.replace(/{{week_days}}/g, '');
+
+        // --- Merge the week property, generated properties and week tag into the frontmatter ---
+        templateContent = this.applyFrontmatter(noteType, now, templateContent);
+
+        // --- Link a daily note to the days around it and its weekly note ---
+        if (noteType === 'daily' && this.settings.addDailyNoteLinks) {
+            templateContent = this.insertDailyNoteLinks(templateContent, now, fullPath);
+        }
+
+        // --- Apply Week Tag to the body (applies to both daily and weekly if enabled) ---
+        if (this.settings.addWeekTag && isWeekBased && this.settings.weekTagLocation === 'body') {
+            const weekTag = `#${this.settings.weekTagPrefix}${weekOfYear}`;
+            templateContent += `\n\n${weekTag}`;
+        }
+
+        // Create the new file
+        const newFile = await this.app.vault.create(fullPath, templateContent);
+        console.log(`New file '${fullPath}' created.`);
+        this.triggerNoteEvent('note-created', newFile, noteType, now);
+
+        // Update the rolled-over tasks in the previous note only once the new note exists
+        if (rolloverSource && this.settings.rolloverOriginalAction !== 'keep') {
+            await this.app.vault.process(rolloverSource, data => this.updateRolledOverTasks(data));
+        }
+
+        return newFile;
+    }
+
+    /**
+     * Merges the configured properties into a note's frontmatter. The template's own
+     * frontmatter is parsed rather than spliced, so keys are never duplicated and `---`
+     * horizontal rules further down the note are left alone. Values the template already
+     * sets are kept; missing or empty ones are filled in.
+     * @param noteType The type of note being created.
+     * @param date The date of the note.
+     * @param content The note content with placeholders already replaced.
+     * @returns The content with the merged frontmatter, or unchanged if there is nothing to add.
+     */
+    private applyFrontmatter(noteType: NoteType, date: Date, content: string): string {
+        const isWeekBased = noteType === 'daily' || noteType === 'weekly';
+        const generated: [string, string | number][] = [];
+
+        if (this.settings.addWeekProperty && isWeekBased) {
+            generated.push([this.settings.weekPropertyName, this.getWeekOfYear(date)]);
+        }
+        for (const property of this.settings.generatedProperties) {
+            const value = property.name ? this.getGeneratedPropertyValue(property, noteType, date) : null;
+            if (value !== null) {
+                generated.push([property.name, value]);
+            }
+        }
+        const weekTag = this.settings.addWeekTag && isWeekBased && this.settings.weekTagLocation === 'frontmatter'
+            ? `${this.settings.weekTagPrefix}${this.getWeekOfYear(date)}`
+            : null;
+
+        if (generated.length === 0 && !weekTag) {
+            return content;
+        }
+
+        const info = getFrontMatterInfo(content);
+        let frontmatter: Record<string, unknown> = {};
+        if (info.exists) {
+            try {
+                frontmatter = parseYaml(info.frontmatter) ?? {};
+            } catch (error) {
+                console.error('Could not parse the template frontmatter:', error);
+                new Notice('The template frontmatter is not valid YAML, so no properties were added. See the console for details.');
+                return content;
+            }
+        }
+
+        for (const [name, value] of generated) {
+            const existing = frontmatter[name];
+            if (existing === undefined || existing === null || existing === '') {
+                frontmatter[name] = value;
+            }
+        }
+
+        if (weekTag) {
+            // Obsidian accepts both a list and a comma or space separated string for tags
+            const existing = frontmatter.tags;
+            const tags = Array.isArray(existing)
+                ? existing.map(String)
+                : typeof existing === 'string' ? existing.split(/[,\s]+/).filter(tag => tag) : [];
+            if (!tags.some(tag => tag.replace(/^#/, '') === weekTag)) {
+                tags.push(weekTag);
+            }
+            frontmatter.tags = tags;
+        }
+
+        // The body stays exactly as the template wrote it, with or without frontmatter
+        const body = info.exists ? content.slice(info.contentStart) : content;
+        return `---\n${stringifyYaml(frontmatter)}---\n${body}`;
+    }
+
+    /**
+     * Computes the value of a generated frontmatter property.
+     * @param property The configured property.
+     * @param noteType The type of note being created.
+     * @param date The date of the note.
+     * @returns The value, or null if the property does not apply to this note type.
+     */
+    private getGeneratedPropertyValue(property: GeneratedProperty, noteType: NoteType, date: Date): string | number | null {
+        const isWeekBased = noteType === 'daily' || noteType === 'weekly';
+        const periodStart = this.getPeriodRange(noteType, date).start;
+
+        switch (property.value) {
+            case 'date':
+                return this.formatDate(periodStart, property.format || 'YYYY-MM-DD');
+            case 'weekday':
+                return this.formatDate(periodStart, property.format || 'dddd');
+            case 'week':
+                return isWeekBased ? this.getWeekOfYear(date) : null;
+            case 'week_year':
+                return isWeekBased ? this.getWeekInfo(date).weekYear : null;
+            case 'weekly_note':
+                return noteType === 'daily' ? this.getPropertyLink(this.getNotePath('weekly', date)) : null;
+            case 'previous':
+                return this.getPropertyLink(this.getNotePath(noteType, this.shiftDate(noteType, date, -1)));
+            case 'next':
+                return this.getPropertyLink(this.getNotePath(noteType, this.shiftDate(noteType, date, 1)));
+            case 'text': {
+                let text = property.format;
+                const replacements = this.buildReplacements(noteType, date);
+                for (const placeholder in replacements) {
+                    text = text.replace(new RegExp(placeholder, 'g'), () => replacements[placeholder]);
+                }
+                return text;
+            }
+        }
+    }
+
+    /**
+     * Builds a wikilink to a note path for use in a property. Properties only recognise
+     * wikilinks, so this does not follow the vault's Markdown link setting. The note does
+     * not need to exist yet.
+     */
+    private getPropertyLink(path: string): string {
+        const linkPath = path.replace(/\.md$/, '');
+        const name = linkPath.split('/').pop();
+        return name === linkPath ? `[[${linkPath}]]` : `[[${linkPath}|${name}]]`;
+    }
+
+    /**
+     * Finds the most recent existing daily note before a date, skipping over gaps such as
+     * weekends and holidays.
+     * @param date The date of the note being created.
+     * @returns The previous daily note, or null if none exists within the search limit.
+     */
+    private findPreviousDailyNote(date: Date): TFile | null {
+        for (let step = 1; step <= MAX_NAVIGATION_STEPS; step++) {
+            const file = this.findNote('daily', this.shiftDate('daily', date, -step));
+            if (file) {
+                return file;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Collects incomplete tasks, with their nested children, from a note's content.
+     * Tasks inside code blocks or in the section of one of the skipped headings (sub-headings
+     * included) are ignored.
+     * @param content The note content.
+     * @returns The task blocks (dedented to the task's level) and the line numbers they occupy.
+     */
+    private collectIncompleteTasks(content: string): { tasks: string[]; lines: number[] } {
+        const skipHeadings = this.settings.rolloverSkipHeadings
+            .split(',')
+            .map(heading => heading.trim().replace(/^#+\s*/, '').toLowerCase())
+            .filter(heading => heading !== '');
+        const indentOf = (line: string) => line.length - line.trimStart().length;
+        const contentLines = content.split('\n');
+        const tasks: string[] = [];
+        const lines: number[] = [];
+        let inCodeBlock = false;
+        // Level of the skipped heading whose section we are in, or 0; sub-headings stay skipped
+        let skipLevel = 0;
+
+        for (let i = 0; i < contentLines.length; i++) {
+            const line = contentLines[i];
+            if (/^\s*(```|~~~)/.test(line)) {
+                inCodeBlock = !inCodeBlock;
+                continue;
+            }
+            if (inCodeBlock) {
+                continue;
+            }
+            const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+            if (heading) {
+                const level = heading[1].length;
+                if (skipLevel === 0 || level <= skipLevel) {
+                    skipLevel = skipHeadings.includes(heading[2].trim().toLowerCase()) ? level : 0;
+                }
+                continue;
+            }
+            const task = INCOMPLETE_TASK_REGEX.exec(line);
+            if (!task || skipLevel > 0) {
+                continue;
+            }
+
+            // The block is the task plus every following line indented deeper than it
+            const taskIndent = task[1].length;
+            let end = i + 1;
+            while (end < contentLines.length) {
+                const next = contentLines[end];
+                if (next.trim() === '') {
+                    // Blank lines only belong to the block if it continues after them
+                    let lookahead = end;
+                    while (lookahead < contentLines.length && contentLines[lookahead].trim() === '') {
+                        lookahead++;
+                    }
+                    if (lookahead < contentLines.length && indentOf(contentLines[lookahead]) > taskIndent) {
+                        end = lookahead;
+                        continue;
+                    }
+                    break;
+                }
+                if (indentOf(next) <= taskIndent) {
+                    break;
+                }
+                end++;
+            }
+
+            const block = contentLines.slice(i, end).map(blockLine => blockLine.substring(Math.min(taskIndent, indentOf(blockLine))));
+            tasks.push(block.join('\n'));
+            for (let j = i; j < end; j++) {
+                lines.push(j);
+            }
+            i = end - 1;
+        }
+
+        return { tasks, lines };
+    }
+
+    /**
+     * Inserts rolled-over tasks into new note content: at the {{rollover}} placeholder if there
+     * is one, otherwise below the rollover heading (which is appended if it is missing).
+     * @param content The new note's content.
+     * @param tasks The task blocks to insert.
+     * @returns The updated content.
+     */
+    private insertRolloverTasks(content: string, tasks: string[]): string {
+        const taskText = tasks.join('\n');
+        if (content.includes('{{rollover}}')) {
+            // A function replacer, so "$" in task text is not read as a replacement pattern
+            return content.replace(/{{rollover}}/g, () => taskText);
+        }
+        if (tasks.length === 0) {
+            return content;
+        }
+
+        const heading = this.settings.rolloverHeading.trim();
+        if (!heading) {
+            return `${content.replace(/\s*$/, '')}\n\n${taskText}\n`;
+        }
+        const lines = content.split('\n');
+        const headingIndex = lines.findIndex(line => line.trim() === heading);
+        if (headingIndex === -1) {
+            return `${content.replace(/\s*$/, '')}\n\n${heading}\n${taskText}\n`;
+        }
+        lines.splice(headingIndex + 1, 0, taskText);
+        return lines.join('\n');
+    }
+
+    /**
+     * Removes or marks the rolled-over tasks in the previous note, depending on settings.
+     * @param content The previous note's current content.
+     * @returns The updated content.
+     */
+    private updateRolledOverTasks(content: string): string {
+        const rolledOver = new Set(this.collectIncompleteTasks(content).lines);
+        const lines = content.split('\n');
+        if (this.settings.rolloverOriginalAction === 'remove') {
+            return lines.filter((_, index) => !rolledOver.has(index)).join('\n');
+        }
+        // 'mark': flag every incomplete task in the rolled-over blocks as moved
+        return lines.map((line, index) => rolledOver.has(index) && INCOMPLETE_TASK_REGEX.test(line)
+            ? line.replace('[ ]', '[>]')
+            : line).join('\n');
+    }
+
+    /**
+     * Returns the content under a heading, up to the next heading of the same or a higher level.
+     * @param content The note content.
+     * @param heading The heading line to look for (e.g. "## Highlights").
+     * @returns The trimmed section content, or an empty string if the heading is missing.
+     */
+    private extractHeadingSection(content: string, heading: string): string {
+        const level = (/^(#+)/.exec(heading.trim()) || ['', '#'])[1].length;
+        const lines = content.split('\n');
+        const start = lines.findIndex(line => line.trim() === heading.trim());
+        if (start === -1) {
+            return '';
+        }
+        let end = start + 1;
+        while (end < lines.length) {
+            const nextHeading = /^(#{1,6})\s/.exec(lines[end]);
+            if (nextHeading && nextHeading[1].length <= level) {
+                break;
+            }
+            end++;
+        }
+        return lines.slice(start + 1, end).join('\n').trim();
+    }
+
+    /**
+     * Builds the rollup block for a weekly note: links to each day's note (marking missing days),
+     * the completed and open tasks from those notes and each day's highlights section.
+     * @param date A date within the week.
+     * @param weeklyNotePath The path of the weekly note, used to build relative links.
+     * @returns The rollup, wrapped in start/end markers.
+     */
+    async buildWeeklyRollup(date: Date, weeklyNotePath: string): Promise<string> {
+        const weekStart = this.getWeekInfo(date).start;
+        const dayLines: string[] = [];
+        const completedTasks: string[] = [];
+        const openTasks: string[] = [];
+        const highlights: string[] = [];
+        const taskText = (line: string) => line.trim().replace(/^(?:[-*+]|\d+[.)]) \[.\]\s*/, '');
+
+        for (let offset = 0; offset < 7; offset++) {
+            const day = new Date(weekStart.getTime() + offset * DAY_MS);
+            const weekdayName = this.formatDate(day, 'dddd');
+            const file = this.findNote('daily', day);
+
+            if (!file) {
+                dayLines.push(`- ${weekdayName} ${this.formatDate(day, this.settings.dailyDateFormat)} (no note)`);
+                continue;
+            }
+
+            const link = this.app.fileManager.generateMarkdownLink(file, weeklyNotePath, undefined, weekdayName);
+            dayLines.push(`- ${link}`);
+
+            const content = await this.app.vault.cachedRead(file);
+            for (const line of content.split('\n')) {
+                if (COMPLETED_TASK_REGEX.test(line)) {
+                    completedTasks.push(`- ${taskText(line)} (${link})`);
+                } else if (INCOMPLETE_TASK_REGEX.test(line)) {
+                    openTasks.push(`- ${taskText(line)} (${link})`);
+                }
+            }
+
+            if (this.settings.rollupHighlightsHeading.trim()) {
+                const section = this.extractHeadingSection(content, this.settings.rollupHighlightsHeading);
+                if (section) {
+                    highlights.push(`**${link}**\n${section}`);
+                }
+            }
+        }
+
+        const sections = [`### Days\n${dayLines.join('\n')}`];
+        sections.push(`### Completed Tasks\n${completedTasks.length ? completedTasks.join('\n') : '- None'}`);
+        sections.push(`### Open Tasks\n${openTasks.length ? openTasks.join('\n') : '- None'}`);
+        if (highlights.length) {
+            sections.push(`### Highlights\n${highlights.join('\n\n')}`);
+        }
+        return `${ROLLUP_START_MARKER}\n${sections.join('\n\n')}\n${ROLLUP_END_MARKER}`;
+    }
+
+    /**
+     * Regenerates the rollup block of a weekly note, leaving the rest of the note untouched.
+     * The block is appended if the note does not have one yet.
+     * @param file The weekly note.
+     * @param date A date within the note's week.
+     */
+    async refreshWeeklyRollup(file: TFile, date: Date) {
+        const rollup = await this.buildWeeklyRollup(date, file.path);
+        await this.app.vault.process(file, data => this.replaceGeneratedBlock(data, ROLLUP_START_MARKER, ROLLUP_END_MARKER, rollup));
+        new Notice('Weekly rollup refreshed.');
+    }
+
+    /**
+     * Replaces the block between two markers in a note with a new block (markers included),
+     * or appends the block at the end if the note does not have one yet.
+     */
+    private replaceGeneratedBlock(data: string, startMarker: string, endMarker: string, block: string): string {
+        const start = data.indexOf(startMarker);
+        const end = data.indexOf(endMarker, start);
+        if (start !== -1 && end !== -1) {
+            return data.substring(0, start) + block + data.substring(end + endMarker.length);
+        }
+        return `${data.replace(/\s*$/, '')}\n\n${block}\n`;
+    }
+
+    /**
+     * Works out how consistently daily and weekly notes were written between two dates:
+     * missing days and weeks, streaks of consecutive days with a daily note, and daily notes
+     * per week, in the configured week numbering. When weekends are skipped they neither count
+     * as missing nor break a streak.
+     * A missing note for today does not end the current streak, since the day is not over yet,
+     * and days after today are left out. A report that ends before today gives the streak on
+     * its last day instead.
+     * @param start The first day of the report.
+     * @param end The last day of the report (inclusive).
+     * @param skipWeekends Whether to leave Saturdays and Sundays out.
+     */
+    buildNotesReport(start: Date, end: Date, skipWeekends: boolean): NotesReport {
+        const report: NotesReport = {
+            start, end, skipWeekends, days: 0, dailyNotes: 0, missingDays: [], missingWeeks: [],
+            currentStreak: 0, endsBeforeToday: false, longestStreak: { length: 0, start: null, end: null }, weeks: [],
+        };
+        const today = this.getToday().getTime();
+        report.endsBeforeToday = end.getTime() < today;
+        const last = Math.min(end.getTime(), today);
+        let streak = 0;
+        let streakStart: Date | null = null;
+
+        for (let time = start.getTime(); time <= last; time += DAY_MS) {
+            const day = new Date(time);
+            const weekStart = this.getWeekInfo(day).start;
+            let week = report.weeks[report.weeks.length - 1];
+            if (!week || week.start.getTime() !== weekStart.getTime()) {
+                const hasWeeklyNote = this.findNote('weekly', day) !== null;
+                week = { start: weekStart, label: this.formatDate(weekStart, PERIOD_KEY_FORMATS.weekly), dailyNotes: 0, days: 0, hasWeeklyNote };
+                report.weeks.push(week);
+                if (!hasWeeklyNote) {
+                    report.missingWeeks.push(weekStart);
+                }
+            }
+
+            const weekday = day.getUTCDay();
+            if (skipWeekends && (weekday === 0 || weekday === 6)) {
+                continue;
+            }
+            report.days++;
+            week.days++;
+
+            if (this.findNote('daily', day)) {
+                report.dailyNotes++;
+                week.dailyNotes++;
+                streak++;
+                streakStart = streak === 1 ? day : streakStart;
+                if (streak > report.longestStreak.length) {
+                    report.longestStreak = { length: streak, start: streakStart, end: day };
+                }
+            } else {
+                report.missingDays.push(day);
+                if (time !== today) {
+                    streak = 0;
+                }
+            }
+        }
+        report.currentStreak = streak;
+        return report;
+    }
+
+    /**
+     * Renders a notes report as Markdown between report markers, for a weekly note.
+     */
+    formatNotesReport(report: NotesReport): string {
+        const formatDay = (date: Date) => this.formatDate(date, 'YYYY-MM-DD');
+        const dayCount = (count: number) => `${count} day${count === 1 ? '' : 's'}`;
+        const lines = [
+            `### Notes Report: ${formatDay(report.start)} – ${formatDay(report.end)}`,
+            `- Daily notes: ${report.dailyNotes} of ${dayCount(report.days)}${report.skipWeekends ? ' (weekends excluded)' : ''}`,
+            `- ${report.endsBeforeToday ? `Streak on ${formatDay(report.end)}` : 'Current streak'}: ${dayCount(report.currentStreak)}`,
+            `- Longest streak: ${dayCount(report.longestStreak.length)}`
+                + (report.longestStreak.start && report.longestStreak.end
+                    ? ` (${formatDay(report.longestStreak.start)} – ${formatDay(report.longestStreak.end)})`
+                    : ''),
+            `- Missing days: ${report.missingDays.length ? report.missingDays.map(formatDay).join(', ') : 'None'}`,
+            `- Missing weekly notes: ${report.missingWeeks.length
+                ? report.missingWeeks.map(date => this.formatDate(date, PERIOD_KEY_FORMATS.weekly)).join(', ')
+                : 'None'}`,
+            '',
+            '| Week | Daily Notes | Weekly Note |',
+            '| --- | --- | --- |',
+            ...report.weeks.map(week => `| ${week.label} | ${week.dailyNotes} of ${week.days} | ${week.hasWeeklyNote ? 'Yes' : 'No'} |`),
+        ];
+        return `${REPORT_START_MARKER}\n${lines.join('\n')}\n${REPORT_END_MARKER}`;
+    }
+
+    /**
+     * Inserts a notes report into the weekly note of the report's last day, creating the note
+     * if needed. A report inserted earlier is replaced.
+     * @returns The weekly note.
+     */
+    async insertNotesReport(report: NotesReport): Promise<TFile> {
+        const file = await this.processNote('weekly', report.end, false);
+        const block = this.formatNotesReport(report);
+        await this.app.vault.process(file, data => this.replaceGeneratedBlock(data, REPORT_START_MARKER, REPORT_END_MARKER, block));
+        return file;
+    }
+
+    /**
+     * Lists one date per note of the given type between two dates (inclusive).
+     * @param noteType The type of note, which determines the step (day, week, month, ...).
+     * @param start The first date of the range.
+     * @param end The last date of the range.
+     * @returns A date within each period that overlaps the range, in order.
+     */
+    getNoteDatesInRange(noteType: NoteType, start: Date, end: Date): Date[] {
+        const dates: Date[] = [];
+        let date = start;
+        // Stop one past the limit so callers can tell that the range was too large
+        while (this.getPeriodRange(noteType, date).start.getTime() <= end.getTime() && dates.length <= MAX_BATCH_NOTES) {
+            dates.push(date);
+            date = this.shiftDate(noteType, date, 1);
+        }
+        return dates;
+    }
+
+    /**
+     * Creates notes for several dates without opening them, showing progress while it runs
+     * and a summary at the end. Notes that already exist are left alone. Task rollover is
+     * skipped, since chaining it across notes created in one go would copy the same tasks
+     * into every note.
+     * @param noteType The type of note to create.
+     * @param dates The dates to create notes for.
+     */
+    async createNotesInBatch(noteType: NoteType, dates: Date[]) {
+        const progress = new Notice(`Creating ${noteType} notes… 0/${dates.length}`, 0);
+        let created = 0;
+        let skipped = 0;
+        let failed = 0;
+
+        for (let i = 0; i < dates.length; i++) {
+            const path = this.getNotePath(noteType, dates[i]);
+            try {
+                if (this.findNote(noteType, dates[i])) {
+                    skipped++;
+                } else {
+                    await this.createNote(noteType, dates[i], { rollover: false });
+                    created++;
+                }
+            } catch (error) {
+                console.error(`Failed to create '${path}':`, error);
+                failed++;
+            }
+            progress.setMessage(`Creating ${noteType} notes… ${i + 1}/${dates.length}`);
+        }
+
+        progress.hide();
+        new Notice(`Created ${created} ${noteType} note(s)`
+            + (skipped ? `, ${skipped} already existed` : '')
+            + (failed ? `, ${failed} failed (see console)` : '') + '.');
+    }
+
+    /**
+     * Public method to process weekly notes.
+     */
+    async processWeeklyNote() {
+        await this.processNote('weekly');
+    }
+
+    /**
+     * Public method to process daily notes.
+     */
+    async processDailyNote() {
+        await this.processNote('daily');
+    }
+
+    /**
+     * Public method to process monthly notes.
+     */
+    async processMonthlyNote() {
+        await this.processNote('monthly');
+    }
+
+    /**
+     * Public method to process quarterly notes.
+     */
+    async processQuarterlyNote() {
+        await this.processNote('quarterly');
+    }
+
+    /**
+     * Public method to process yearly notes.
+     */
+    async processYearlyNote() {
+        await this.processNote('yearly');
+    }
+
+    /**
+     * Public method to process tomorrow's note.
+     */
+    async processTomorrowNote() {
+        await this.processNote('daily', this.shiftDate('daily', this.getToday(), 1));
+    }
+
+    /**
+     * Public method to process a note for an arbitrary date.
+     * @param noteType The type of note to create or open
+     * @param date The date to create or open the note for.
+     */
+    async processNoteForDate(noteType: NoteType, date: Date) {
+        await this.processNote(noteType, date);
+    }
+
+    /**
+     * Creates, and opens if configured, today's daily note and this week's weekly note when
+     * automatic creation is turned on for them. "Today" follows Day Starts At and Time Zone.
+     * @param startup True when Obsidian starts; otherwise notes are only created once a new
+     * day or week has begun since the previous call.
+     * @param newTab Whether a note was already opened in this run, so notes open in new tabs
+     * instead of replacing it.
+     * @returns True if a note was opened.
+     */
+    async autoCreateNotes(startup: boolean, newTab: boolean = false): Promise<boolean> {
+        let opened = false;
+        const today = this.getToday();
+        const modes: { noteType: NoteType; mode: AutoCreateMode }[] = [
+            { noteType: 'daily', mode: this.settings.dailyAutoCreate },
+            { noteType: 'weekly', mode: this.settings.weeklyAutoCreate },
+        ];
+        for (const { noteType, mode } of modes) {
+            // Periods are tracked even while turned off, so turning it on waits for the next day
+            const period = this.getPeriodKey(noteType, today);
+            const previous = this.autoCreatePeriods[noteType];
+            this.autoCreatePeriods[noteType] = period;
+            if (mode !== 'off' && (startup || (previous !== undefined && previous !== period))) {
+                await this.processNote(noteType, today, mode === 'open', newTab || opened);
+                opened = opened || mode === 'open';
+            }
+        }
+        return opened;
+    }
+
+    /**
+     * Returns the first day of a numbered week, or null if the week-year has no such week
+     * (e.g. week 53 in a year with only 52 weeks).
+     * @param weekYear The week-numbering year.
+     * @param week The week number.
+     * @param system The week numbering system.
+     */
+    private parseWeek(weekYear: number, week: number, system: WeekNumbering): Date | null {
+        const weekStart = this.getWeekStartFromWeek(weekYear, week, system);
+        const weekInfo = this.getWeekParts(weekStart.getUTCFullYear(), weekStart.getUTCMonth(), weekStart.getUTCDate(), system);
+        return week >= 1 && weekInfo.week === week && weekInfo.weekYear === weekYear ? weekStart : null;
+    }
+
+    /**
+     * Parses user input into a date. Understands ISO dates (2026-10-23), ISO weeks (2026-W43,
+     * giving its Monday),
+     * "today", "tomorrow", "yesterday", weekday names ("friday", "next friday", "last monday"),
+     * "next week"/"last week" and relative offsets ("in 3 days", "2 weeks ago").
+     * "friday" means the coming Friday (today included), "next friday" the first Friday after
+     * today and "last friday" the most recent Friday before today.
+     * @param input The text typed by the user.
+     * @param reference The date relative expressions are resolved against (defaults to today).
+     * @returns The resolved calendar date and whether the input named a week, or null.
+     */
+    parseDateInput(input: string, reference: Date = this.getToday()): { date: Date; isWeek: boolean } | null {
+        const text = input.trim().toLowerCase().replace(/\s+/g, ' ');
+        const year = reference.getUTCFullYear();
+        const month = reference.getUTCMonth();
+        const day = reference.getUTCDate();
+        const offsetDays = (days: number) => calendarDate(year, month, day + days);
+
+        if (text === '' || text === 'today' || text === 'now') {
+            return { date: offsetDays(0), isWeek: false };
+        }
+        if (text === 'tomorrow') {
+            return { date: offsetDays(1), isWeek: false };
+        }
+        if (text === 'yesterday') {
+            return { date: offsetDays(-1), isWeek: false };
+        }
+
+        // ISO calendar date: 2026-10-23 or 2026/10/23
+        let match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(text);
+        if (match) {
+            const date = calendarDate(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+            return date.getUTCMonth() === parseInt(match[2], 10) - 1 ? { date, isWeek: false } : null;
+        }
+
+        // ISO week: 2026-W43 or 2026W43, whatever the configured week numbering
+        match = /^(\d{4})-?w(\d{1,2})$/.exec(text);
+        if (match) {
+            const weekStart = this.parseWeek(parseInt(match[1], 10), parseInt(match[2], 10), 'iso');
+            return weekStart ? { date: weekStart, isWeek: true } : null;
+        }
+
+        // this/next/last week
+        match = /^(this|next|last) week$/.exec(text);
+        if (match) {
+            const weeks = match[1] === 'next' ? 1 : match[1] === 'last' ? -1 : 0;
+            return { date: offsetDays(weeks * 7), isWeek: true };
+        }
+
+        // Relative offsets: "in 3 days", "in 2 weeks", "3 days ago"
+        match = /^in (\d+) (day|week|month)s?$/.exec(text) || /^(\d+) (day|week|month)s? ago$/.exec(text);
+        if (match) {
+            const amount = parseInt(match[1], 10) * (text.endsWith('ago') ? -1 : 1);
+            if (match[2] === 'month') {
+                return { date: calendarDate(year, month + amount, day), isWeek: false };
+            }
+            return { date: offsetDays(match[2] === 'week' ? amount * 7 : amount), isWeek: false };
+        }
+
+        // Weekday names: "friday", "this friday", "next friday", "last monday"
+        match = /^(?:(this|next|last) )?([a-z]+)$/.exec(text);
+        if (match) {
+            const weekday = DAY_NAMES.findIndex(name =>
+                name.toLowerCase() === match![2] || name.substring(0, 3).toLowerCase() === match![2]);
+            if (weekday !== -1) {
+                const current = reference.getUTCDay();
+                if (match[1] === 'last') {
+                    return { date: offsetDays(-((current - weekday + 6) % 7 + 1)), isWeek: false };
+                }
+                if (match[1] === 'next') {
+                    return { date: offsetDays((weekday - current + 6) % 7 + 1), isWeek: false };
+                }
+                return { date: offsetDays((weekday - current + 7) % 7), isWeek: false };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Escapes a string for literal use inside a regular expression.
+     */
+    private escapeRegExp(text: string): string {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Returns the date field a format token holds and a regular expression matching it.
+     */
+    private getDateTokenPattern(token: string): { field: DateField; pattern: string } {
+        const names = this.getLocaleNames();
+        const alternatives = (list: string[]) => list.map(name => this.escapeRegExp(name)).join('|');
+        switch (token) {
+            case 'YYYY': return { field: 'year', pattern: '\\d{4}' };
+            case 'YY': return { field: 'shortYear', pattern: '\\d{2}' };
+            case 'GGGG': return { field: 'isoWeekYear', pattern: '\\d{4}' };
+            case 'GG': return { field: 'shortIsoWeekYear', pattern: '\\d{2}' };
+            case 'gggg': return { field: 'weekYear', pattern: '\\d{4}' };
+            case 'gg': return { field: 'shortWeekYear', pattern: '\\d{2}' };
+            case 'MMMM': return { field: 'monthName', pattern: alternatives(names.months) };
+            case 'MMM': return { field: 'shortMonthName', pattern: alternatives(names.monthsShort) };
+            case 'MM': return { field: 'month', pattern: '\\d{2}' };
+            case 'M': return { field: 'month', pattern: '\\d{1,2}' };
+            case 'Q': return { field: 'quarter', pattern: '[1-4]' };
+            case 'DDDD': return { field: 'dayOfYear', pattern: '\\d{3}' };
+            case 'DDD': return { field: 'dayOfYear', pattern: '\\d{1,3}' };
+            // parseInt ignores the suffix when the captured value is read
+            case 'Do': return { field: 'day', pattern: '\\d{1,2}(?:st|nd|rd|th|\\.)' };
+            case 'DD': return { field: 'day', pattern: '\\d{2}' };
+            case 'D': return { field: 'day', pattern: '\\d{1,2}' };
+            case 'dddd': return { field: 'weekday', pattern: alternatives(names.weekdays) };
+            case 'ddd': return { field: 'weekday', pattern: alternatives(names.weekdaysShort) };
+            case 'WW': return { field: 'isoWeek', pattern: '\\d{2}' };
+            case 'W': return { field: 'isoWeek', pattern: '\\d{1,2}' };
+            case 'ww': return { field: 'week', pattern: '\\d{2}' };
+            case 'w': return { field: 'week', pattern: '\\d{1,2}' };
+            default: return { field: 'isoWeekday', pattern: '[1-7]' }; // E
+        }
+    }
+
+    /**
+     * Converts a date format string into a regular expression source, appending the
+     * date field captured by each group to `fields`. This is the inverse of formatDate.
+     * @param format The date format string (e.g., "YYYY-MM-DD").
+     * @param fields Receives the field captured by each group, in order. Pass null to match
+     * the format without capturing anything.
+     * @returns The regular expression source.
+     */
+    private buildDatePattern(format: string, fields: DateField[] | null): string {
+        return this.tokenizeDateFormat(format).map(part => {
+            if ('literal' in part) {
+                return this.escapeRegExp(part.literal);
+            }
+            const { field, pattern } = this.getDateTokenPattern(part.token);
+            if (!fields) {
+                return `(?:${pattern})`;
+            }
+            fields.push(field);
+            return `(${pattern})`;
+        }).join('');
+    }
+
+    /**
+     * Recovers the date of a note by reverse-parsing its filename against the
+     * filename format of the given note type.
+     * @param noteType The type of note.
+     * @param fileName The note's filename, including the extension.
+     * @param format The filename format to match (defaults to the configured one).
+     * @returns A date within the note's period, or null if the name does not match.
+     */
+    parseNoteDate(noteType: NoteType, fileName: string, format: string = this.getNoteTypeSettings(noteType).fileNameFormat): Date | null {
+        const fields: DateField[] = [];
+        const pattern = this.buildFileNamePattern(format, fields);
+        return this.matchNoteDate(pattern, fileName, fields,
+            candidate => this.getNoteFileName(noteType, candidate, format) === fileName);
+    }
+
+    /**
+     * Recovers the date of a note from its path. The folder pattern and filename are matched
+     * together first (e.g. Journal/YYYY/MM with a {{date}} of DD); failing that the filename
+     * alone is tried, so notes outside their configured folder are still recognised.
+     * @param noteType The type of note.
+     * @param path The note's vault path.
+     * @returns A date within the note's period, or null if the path does not match.
+     */
+    parseNotePath(noteType: NoteType, path: string): Date | null {
+        const fields: DateField[] = [];
+        const folderPattern = this.getFolderFormat(noteType)
+            .split('/')
+            .filter(segment => segment !== '')
+            .map(segment => this.isDateSegment(segment) ? this.buildDatePattern(segment, fields) : this.escapeRegExp(segment))
+            .join('/');
+        const fileNamePattern = this.buildFileNamePattern(this.getNoteTypeSettings(noteType).fileNameFormat, fields);
+        const pattern = folderPattern ? `${folderPattern}/${fileNamePattern}` : fileNamePattern;
+        const date = this.matchNoteDate(pattern, path, fields,
+            candidate => this.getNotePath(noteType, candidate) === path);
+        if (date) {
+            return date;
+        }
+
+        return this.parseNoteDate(noteType, path.substring(path.lastIndexOf('/') + 1));
+    }
+
+    /**
+     * Converts a filename format into a regular expression source.
+     * @param format The filename format, e.g. a note type's Filename Format setting.
+     * @param fields Receives the date field captured by each group, in order.
+     */
+    private buildFileNamePattern(format: string, fields: DateField[]): string {
+        if (!format.endsWith('.md')) {
+            format += '.md';
+        }
+
+        // Expand the filename placeholders into capture groups
+        const capture = (field: DateField, pattern: string) => {
+            fields.push(field);
+            return `(${pattern})`;
+        };
+        const placeholderPatterns: { [placeholder: string]: () => string } = {
+            '{{date}}': () => this.buildDatePattern(this.settings.dailyDateFormat, fields),
+            '{{wsd}}': () => this.buildDatePattern(this.settings.weekStartDateFormat, fields),
+            '{{week_start_date}}': () => this.buildDatePattern(this.settings.weekStartDateFormat, fields),
+            // The week end is matched but not captured, like {{period_end}}
+            '{{wed}}': () => this.buildDatePattern(this.settings.weekStartDateFormat, null),
+            '{{week_end_date}}': () => this.buildDatePattern(this.settings.weekStartDateFormat, null),
+            '{{wy}}': () => capture('weekYear', '\\d{4}'),
+            '{{week_year}}': () => capture('weekYear', '\\d{4}'),
+            '{{woy}}': () => capture('week', '\\d{1,2}'),
+            '{{week_of_year}}': () => capture('week', '\\d{1,2}'),
+            '{{year}}': () => capture('year', '\\d{4}'),
+            '{{month}}': () => capture('month', '\\d{2}'),
+            '{{month_name}}': () => capture('monthName', this.getLocaleNames().months.map(name => this.escapeRegExp(name)).join('|')),
+            '{{quarter}}': () => capture('quarter', '[1-4]'),
+            '{{period_start}}': () => this.buildDatePattern(this.settings.periodDateFormat, fields),
+            // The start of the period is enough to identify it, so the end is matched but not captured
+            '{{period_end}}': () => this.buildDatePattern(this.settings.periodDateFormat, null),
+        };
+        // Date placeholders with an inline format, e.g. {{date:DD.MM.YYYY}}; end dates are not captured
+        const inline = new RegExp(FILENAME_DATE_FORMAT_REGEX.source, 'y');
+        let pattern = '';
+        let i = 0;
+        while (i < format.length) {
+            const placeholder = Object.keys(placeholderPatterns).find(key => format.startsWith(key, i));
+            inline.lastIndex = i;
+            const inlineMatch = placeholder ? null : inline.exec(format);
+            if (inlineMatch) {
+                const isEnd = ['wed', 'week_end_date', 'period_end'].includes(inlineMatch[1]);
+                pattern += this.buildDatePattern(inlineMatch[2], isEnd ? null : fields);
+                i += inlineMatch[0].length;
+            } else if (placeholder) {
+                pattern += placeholderPatterns[placeholder]();
+                i += placeholder.length;
+            } else {
+                pattern += this.escapeRegExp(format[i]);
+                i++;
+            }
+        }
+
+        return pattern;
+    }
+
+    /**
+     * Matches text against a pattern built from date formats and turns the captured
+     * fields into a date.
+     * @param pattern The regular expression source, without anchors.
+     * @param text The filename or path to match.
+     * @param fields The date field captured by each group, in order.
+     * @param accept Confirms a candidate date, since several dates can produce the same text.
+     * @returns The first accepted candidate date, or null.
+     */
+    private matchNoteDate(pattern: string, text: string, fields: DateField[], accept: (candidate: Date) => boolean): Date | null {
+        const result = new RegExp(`^${pattern}$`, 'i').exec(text);
+        if (!result) {
+            return null;
+        }
+
+        const names = this.getLocaleNames();
+        const findName = (list: string[], value: string) =>
+            list.findIndex(name => name.toLowerCase() === value.toLowerCase()) + 1;
+        let year: number | undefined;
+        let weekYear: number | undefined;
+        let isoWeekYear: number | undefined;
+        let month: number | undefined;
+        let day: number | undefined;
+        let dayOfYear: number | undefined;
+        let week: number | undefined;
+        let isoWeek: number | undefined;
+        let isoWeekday: number | undefined;
+        let quarter: number | undefined;
+        fields.forEach((field, index) => {
+            const value = result[index + 1];
+            switch (field) {
+                case 'year': year = parseInt(value, 10); break;
+                case 'shortYear': year = 2000 + parseInt(value, 10); break;
+                case 'weekYear': weekYear = parseInt(value, 10); break;
+                case 'shortWeekYear': weekYear = 2000 + parseInt(value, 10); break;
+                case 'isoWeekYear': isoWeekYear = parseInt(value, 10); break;
+                case 'shortIsoWeekYear': isoWeekYear = 2000 + parseInt(value, 10); break;
+                case 'month': month = parseInt(value, 10); break;
+                case 'monthName': month = findName(names.months, value); break;
+                case 'shortMonthName': month = findName(names.monthsShort, value); break;
+                case 'day': day = parseInt(value, 10); break;
+                case 'dayOfYear': dayOfYear = parseInt(value, 10); break;
+                case 'week': week = parseInt(value, 10); break;
+                case 'isoWeek': isoWeek = parseInt(value, 10); break;
+                case 'isoWeekday': isoWeekday = parseInt(value, 10); break;
+                case 'quarter': quarter = parseInt(value, 10); break;
+                // Weekday names carry no information beyond the date itself
+            }
+        });
+
+        const candidates: Date[] = [];
+        if (year !== undefined && month !== undefined && day !== undefined) {
+            candidates.push(calendarDate(year, month - 1, day));
+        } else if (year !== undefined && dayOfYear !== undefined) {
+            candidates.push(calendarDate(year, 0, dayOfYear));
+        } else if (week !== undefined || isoWeek !== undefined) {
+            // Week numbers from {{woy}} and w/ww follow the configured numbering, W/WW are always ISO
+            const system: WeekNumbering = week !== undefined ? this.settings.weekNumbering : 'iso';
+            const weekNumber = week !== undefined ? week : isoWeek!;
+            const knownWeekYear = week !== undefined ? weekYear : isoWeekYear;
+            let weekYears: number[];
+            if (knownWeekYear !== undefined) {
+                weekYears = [knownWeekYear];
+            } else if (year !== undefined) {
+                // A calendar year next to a week number can belong to the neighbouring week-year,
+                // and a week spanning New Year is named after whichever day it was created on
+                weekYears = [year, year + 1, year - 1];
+            } else {
+                // The filename carries no year: prefer the occurrence of that week closest to today
+                const today = this.getToday();
+                const distance = (y: number) => Math.abs(this.getWeekStartFromWeek(y, weekNumber, system).getTime() - today.getTime());
+                weekYears = [0, -1, 1].map(offset => today.getUTCFullYear() + offset).sort((a, b) => distance(a) - distance(b));
+            }
+            for (const candidateYear of weekYears) {
+                const weekStart = this.getWeekStartFromWeek(candidateYear, weekNumber, system);
+                // E is the ISO weekday; convert it to an offset from the first day of the week
+                const offsets = isoWeekday !== undefined
+                    ? [(isoWeekday % 7 - weekStart.getUTCDay() + 7) % 7]
+                    : [0, 1, 2, 3, 4, 5, 6];
+                for (const offset of offsets) {
+                    candidates.push(new Date(weekStart.getTime() + offset * DAY_MS));
+                }
+            }
+        } else if (year !== undefined && quarter !== undefined) {
+            candidates.push(calendarDate(year, (quarter - 1) * 3, 1));
+        } else if (year !== undefined && month !== undefined) {
+            candidates.push(calendarDate(year, month - 1, 1));
+        } else if (year !== undefined) {
+            candidates.push(calendarDate(year, 0, 1));
+        }
+
+        // Only accept a date whose note would carry exactly this name. This rejects
+        // impossible dates (e.g. February 30th) and picks the right week-year.
+        return candidates.find(accept) || null;
+    }
+
+    /**
+     * Returns the first day of a given week.
+     * @param weekYear The week-numbering year.
+     * @param week The week number.
+     * @param system The week numbering system (defaults to the configured one).
+     * @returns The first day of that week.
+     */
+    private getWeekStartFromWeek(weekYear: number, week: number, system: WeekNumbering = this.settings.weekNumbering): Date {
+        return new Date(this.getWeekOneStart(weekYear, system) + (week - 1) * 7 * DAY_MS);
+    }
+
+    /**
+     * Works out the date of the active note for the previous/next commands.
+     * Navigation of longer periods also accepts an active daily note and steps from its period.
+     * @param noteType The type of note being navigated.
+     * @returns The active note's date, or null if the active file is not a matching note.
+     */
+    getActiveNoteDate(noteType: NoteType): Date | null {
+        const activeFile = this.app.workspace.getActiveFile();
+        if (!activeFile || activeFile.extension !== 'md') {
+            return null;
+        }
+        let date = this.getNoteDate(noteType, activeFile);
+        if (!date && noteType !== 'daily') {
+            date = this.getNoteDate('daily', activeFile);
+        }
+        return date;
+    }
+
+    /**
+     * Moves a date by a number of periods of the note type (days, weeks, months, quarters or years).
+     * Month-based periods land on the first day of the period to avoid month-end overflow.
+     */
+    private shiftDate(noteType: NoteType, date: Date, steps: number): Date {
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth();
+        switch (noteType) {
+            case 'weekly':
+                return calendarDate(year, month, date.getUTCDate() + steps * 7);
+            case 'monthly':
+                return calendarDate(year, month + steps, 1);
+            case 'quarterly':
+                return calendarDate(year, month - (month % 3) + steps * 3, 1);
+            case 'yearly':
+                return calendarDate(year + steps, 0, 1);
+            default:
+                return calendarDate(year, month, date.getUTCDate() + steps);
+        }
+    }
+
+    /**
+     * Opens the note before or after a given date. Depending on settings this either
+     * creates the adjacent note or jumps to the nearest note that already exists.
+     * @param noteType The type of note being navigated.
+     * @param fromDate The date of the note being navigated from.
+     * @param direction -1 for the previous note, 1 for the next one.
+     */
+    async openAdjacentNote(noteType: NoteType, fromDate: Date, direction: 1 | -1) {
+        if (!this.settings.skipMissingOnNavigate) {
+            await this.processNote(noteType, this.shiftDate(noteType, fromDate, direction));
+            return;
+        }
+
+        const fromPath = this.getNotePath(noteType, fromDate);
+        for (let step = 1; step <= MAX_NAVIGATION_STEPS; step++) {
+            const candidate = this.shiftDate(noteType, fromDate, direction * step);
+            const candidatePath = this.getNotePath(noteType, candidate);
+            if (candidatePath === fromPath) {
+                // Filenames without a year repeat; stop once we are back at the starting note
+                break;
+            }
+            if (this.findNote(noteType, candidate)) {
+                await this.processNote(noteType, candidate);
+                return;
+            }
+        }
+        new Notice(`No ${direction < 0 ? 'earlier' : 'later'} ${noteType} note found.`);
+    }
+
+    /**
+     * Finds notes in the calendar folder or the configured folder roots whose path is not the
+     * one their type and date would produce now, e.g. after folder patterns were introduced.
+     * @returns The planned moves. Moves whose target already exists are flagged as conflicts.
+     */
+    planNoteReorganization(): { file: TFile; noteType: NoteType; targetPath: string; conflict: boolean }[] {
+        const roots = this.getNoteFolderRoots();
+        const isInRoot = (path: string) => this.isInFolders(path, roots, false);
+
+        const moves: { file: TFile; noteType: NoteType; targetPath: string; conflict: boolean }[] = [];
+        const plannedTargets = new Set<string>();
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            if (!isInRoot(file.path)) {
+                continue;
+            }
+            for (const noteType of NOTE_TYPES) {
+                const date = this.parseNotePath(noteType, file.path);
+                if (!date) {
+                    continue;
+                }
+                const targetPath = this.getNotePath(noteType, date);
+                if (targetPath !== file.path) {
+                    const conflict = plannedTargets.has(targetPath) || !!this.app.vault.getAbstractFileByPath(targetPath);
+                    plannedTargets.add(targetPath);
+                    moves.push({ file, noteType, targetPath, conflict });
+                }
+                break; // The first note type that recognises the file wins
+            }
+        }
+        return moves.sort((a, b) => a.file.path.localeCompare(b.file.path));
+    }
+
+    /**
+     * Moves notes to their planned paths. Uses the file manager so links to the notes are updated.
+     * @param moves The moves from planNoteReorganization; conflicting moves are skipped.
+     * @returns The number of notes moved.
+     */
+    async applyNoteReorganization(moves: { file: TFile; targetPath: string; conflict: boolean }[]): Promise<number> {
+        let moved = 0;
+        for (const move of moves) {
+            if (move.conflict) {
+                continue;
+            }
+            await this.ensureFolder(move.targetPath.substring(0, move.targetPath.lastIndexOf('/')));
+            await this.app.fileManager.renameFile(move.file, move.targetPath);
+            moved++;
+        }
+        return moved;
+    }
+
+    /**
+     * Returns the calendar folder and the fixed part of every note type's folder pattern.
+     */
+    private getNoteFolderRoots(): string[] {
+        const roots = new Set<string>([normalizePath(this.settings.calendarFolderPath)]);
+        for (const noteType of NOTE_TYPES) {
+            roots.add(normalizePath(this.getNoteFolderRoot(noteType)));
+        }
+        return Array.from(roots);
+    }
+
+    /**
+     * Tells whether a path lies in one of the given folders.
+     * @param path The vault path to test.
+     * @param folders Normalized folder paths; "/" is the vault root.
+     * @param recursive Whether the vault root also includes its subfolders.
+     */
+    private isInFolders(path: string, folders: string[], recursive: boolean): boolean {
+        return folders.some(folder => folder === '/' || folder === ''
+            ? recursive || !path.includes('/')
+            : path.startsWith(`${folder}/`));
+    }
+
+    /**
+     * Returns the folders the note index covers: the Folders to Search setting, or the note folders.
+     */
+    private getIndexFolders(): string[] {
+        const folders = this.settings.indexFolders.split(',').map(folder => folder.trim()).filter(folder => folder);
+        return folders.length > 0 ? folders.map(folder => normalizePath(folder)) : this.getNoteFolderRoots();
+    }
+
+    /**
+     * Parses the Previous Filename Formats setting ("type: format" per line).
+     */
+    private getPreviousFileNameFormats(): { noteType: NoteType; format: string }[] {
+        const formats: { noteType: NoteType; format: string }[] = [];
+        for (const line of this.settings.previousFileNameFormats.split('\n')) {
+            const match = /^\s*(daily|weekly|monthly|quarterly|yearly)\s*:\s*(.+?)\s*$/i.exec(line);
+            if (match) {
+                formats.push({ noteType: match[1].toLowerCase() as NoteType, format: match[2] });
+            } else if (line.trim()) {
+                console.warn(`Ignoring previous filename format '${line.trim()}': expected "type: format".`);
+            }
+        }
+        return formats;
+    }
+
+    /**
+     * Identifies the period a note belongs to, used as the key of the note index
+     * (e.g. "daily:2026-10-19" or "weekly:2026-W43").
+     */
+    private getPeriodKey(noteType: NoteType, date: Date): string {
+        return `${noteType}:${this.formatDate(this.getPeriodRange(noteType, date).start, PERIOD_KEY_FORMATS[noteType])}`;
+    }
+
+    /**
+     * Parses the value of the Date Property: 2026-10-19, 2026-W43 (in the configured week
+     * numbering), 2026-10, 2026-Q4 or 2026.
+     * @returns The note type the value describes and a date within its period, or null.
+     */
+    private parseDateProperty(value: unknown): { noteType: NoteType; date: Date } | null {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return null;
+        }
+        const text = String(value).trim();
+        let match: RegExpExecArray | null;
+
+        if ((match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text))) {
+            const date = calendarDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+            return date.getUTCMonth() === Number(match[2]) - 1 ? { noteType: 'daily', date } : null;
+        }
+        if ((match = /^(\d{4})-?W(\d{1,2})$/i.exec(text))) {
+            // Weeks in properties follow the configured numbering, like the generated week property
+            const weekStart = this.parseWeek(Number(match[1]), Number(match[2]), this.settings.weekNumbering);
+            return weekStart ? { noteType: 'weekly', date: weekStart } : null;
+        }
+        if ((match = /^(\d{4})-Q([1-4])$/i.exec(text))) {
+            return { noteType: 'quarterly', date: calendarDate(Number(match[1]), (Number(match[2]) - 1) * 3, 1) };
+        }
+        if ((match = /^(\d{4})-(\d{2})$/.exec(text)) && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+            return { noteType: 'monthly', date: calendarDate(Number(match[1]), Number(match[2]) - 1, 1) };
+        }
+        if ((match = /^(\d{4})$/.exec(text))) {
+            return { noteType: 'yearly', date: calendarDate(Number(match[1]), 0, 1) };
+        }
+        return null;
+    }
+
+    /**
+     * Works out which periodic notes a file is. The filename is matched against the current
+     * formats (with folder patterns) and then the previous ones; only if neither matches is
+     * the Date Property in the frontmatter used.
+     * @returns The periods the file belongs to (usually zero or one), by period key.
+     */
+    private recognizeNote(file: TFile): Map<string, { noteType: NoteType; date: Date }> {
+        const periods = new Map<string, { noteType: NoteType; date: Date }>();
+        const add = (noteType: NoteType, date: Date) => {
+            const key = this.getPeriodKey(noteType, date);
+            if (!periods.has(key)) {
+                periods.set(key, { noteType, date });
+            }
+        };
+        for (const noteType of NOTE_TYPES) {
+            const date = this.parseNotePath(noteType, file.path);
+            if (date) {
+                add(noteType, date);
+            }
+        }
+        for (const { noteType, format } of this.previousFormats) {
+            const date = this.parseNoteDate(noteType, file.name, format);
+            if (date) {
+                add(noteType, date);
+            }
+        }
+
+        if (periods.size === 0 && this.settings.indexDateProperty) {
+            const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+            const period = this.parseDateProperty(frontmatter?.[this.settings.indexDateProperty]);
+            if (period) {
+                add(period.noteType, period.date);
+            }
+        }
+        return periods;
+    }
+
+    /**
+     * Rebuilds the index of existing notes from the Markdown files in the indexed folders.
+     */
+    buildNoteIndex() {
+        this.noteIndex.clear();
+        this.indexedPaths.clear();
+        this.previousFormats = this.getPreviousFileNameFormats();
+        const folders = this.getIndexFolders();
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            if (this.isInFolders(file.path, folders, true)) {
+                this.addToNoteIndex(file.path, this.recognizeNote(file));
+            }
+        }
+        console.log(`Indexed ${this.indexedPaths.size} periodic note(s).`);
+    }
+
+    /**
+     * Re-indexes a single file after it was created, renamed or its frontmatter changed.
+     */
+    updateNoteIndex(file: TFile) {
+        this.removeFromNoteIndex(file.path);
+        if (file.extension === 'md' && this.isInFolders(file.path, this.getIndexFolders(), true)) {
+            this.addToNoteIndex(file.path, this.recognizeNote(file));
+        }
+    }
+
+    private addToNoteIndex(path: string, periods: Map<string, { noteType: NoteType; date: Date }>) {
+        if (periods.size === 0) {
+            return;
+        }
+        this.indexedPaths.set(path, periods);
+        for (const key of periods.keys()) {
+            if (!this.noteIndex.has(key)) {
+                this.noteIndex.set(key, new Set());
+            }
+            this.noteIndex.get(key)!.add(path);
+        }
+    }
+
+    removeFromNoteIndex(path: string) {
+        for (const key of this.indexedPaths.get(path)?.keys() ?? []) {
+            const paths = this.noteIndex.get(key);
+            paths?.delete(path);
+            if (paths?.size === 0) {
+                this.noteIndex.delete(key);
+            }
+        }
+        this.indexedPaths.delete(path);
+    }
 
-        // New Setting: Week Tag Prefix (only visible if Add Week Tag is enabled)
-        if (this.plugin.settings.addWeekTag) {
-            new Setting(containerEl)
-                .setName('Week Tag Prefix')
-                .setDesc('The prefix for the week tag (e.g., "week-" will result in #week-3).')
-                .addText(text => text
-                    .setPlaceholder('e.g., week-')
-                    .setValue(this.plugin.settings.weekTagPrefix)
-                    .onChange(async (value) => {
-                        this.plugin.settings.weekTagPrefix = value;
-                        await this.plugin.saveSettings();
-                    }));
+    /**
+     * Works out the date of a note from its path, or from the index for a note that was
+     * renamed, archived or named with an earlier filename format.
+     * @returns A date in the note's period, or null if the file is not a note of that type.
+     */
+    getNoteDate(noteType: NoteType, file: TFile): Date | null {
+        const date = this.parseNotePath(noteType, file.path);
+        if (date) {
+            return date;
+        }
+        for (const period of this.indexedPaths.get(file.path)?.values() ?? []) {
+            if (period.noteType === noteType) {
+                return period.date;
+            }
         }
+        return null;
+    }
 
-        // NEW SETTING: Toggle for adding 'week' property to frontmatter
-        new Setting(containerEl)
-            .setName('Add Week Property to Note Frontmatter') // Renamed for clarity (applies to both daily and weekly)
-            .setDesc('Toggle to automatically add a property (e.g., "week: <number>") to the YAML frontmatter of the new note. Applies to both daily and weekly notes.')
-            .addToggle(toggle => toggle
-                .setValue(this.plugin.settings.addWeekProperty)
-                .onChange(async (value) => {
-                    this.plugin.settings.addWeekProperty = value;
-                    await this.plugin.saveSettings();
-                    this.display(); // Re-render settings to show/hide property name option
-                }));
+    /**
+     * Finds the existing note of a type and date: the note at its computed path if there is
+     * one, otherwise a note the index recognised for the same period (e.g. one that was renamed,
+     * archived or named with an earlier filename format).
+     * @returns The note, or null if the period has no note yet.
+     */
+    findNote(noteType: NoteType, date: Date): TFile | null {
+        const file = this.app.vault.getAbstractFileByPath(this.getNotePath(noteType, date));
+        if (file instanceof TFile) {
+            return file;
+        }
+        const paths = Array.from(this.noteIndex.get(this.getPeriodKey(noteType, date)) ?? []).sort();
+        for (const path of paths) {
+            const indexed = this.app.vault.getAbstractFileByPath(path);
+            if (indexed instanceof TFile) {
+                return indexed;
+            }
+        }
+        return null;
+    }
 
-        // NEW SETTING: Week Property Name (only visible if Add Week Property is enabled)
-        if (this.plugin.settings.addWeekProperty) {
-            new Setting(containerEl)
-                .setName('Week Property Name')
-                .setDesc('The name of the frontmatter property (e.g., "week" or "currentWeek").')
-                .addText(text => text
-                    .setPlaceholder('e.g., week')
-                    .setValue(this.plugin.settings.weekPropertyName)
-                    .onChange(async (value) => {
-                        this.plugin.settings.weekPropertyName = value;
-                        await this.plugin.saveSettings();
-                    }));
+    /**
+     * Lists the periods that have more than one note according to the index.
+     * @returns The duplicates, sorted by note type and date.
+     */
+    findDuplicateNotes(): { noteType: NoteType; label: string; files: TFile[] }[] {
+        const duplicates: { noteType: NoteType; label: string; files: TFile[] }[] = [];
+        for (const [key, paths] of this.noteIndex) {
+            const files = Array.from(paths)
+                .map(path => this.app.vault.getAbstractFileByPath(path))
+                .filter((file): file is TFile => file instanceof TFile)
+                .sort((a, b) => a.path.localeCompare(b.path));
+            if (files.length > 1) {
+                const [noteType, label] = key.split(':') as [NoteType, string];
+                duplicates.push({ noteType, label, files });
+            }
         }
+        return duplicates.sort((a, b) =>
+            NOTE_TYPES.indexOf(a.noteType) - NOTE_TYPES.indexOf(b.noteType) || a.label.localeCompare(b.label));
     }
 }
 
@@ -330,7 +4763,93 @@ class WeeklyNoteSettingTab extends PluginSettingTab {
 // Main Plugin Class
 // ====================================================================================================
 export default class WeeklyNotePlugin extends Plugin {
-    settings!: WeeklyNotePluginSettings;
+    profiles: NoteProfile[] = [];
+    activeProfileId: string = DEFAULT_PROFILE_ID;
+    // The public API follows the active profile; forProfile() returns one bound to a named profile
+    api: DailyWeeklyNotesPluginApi = {
+        ...this.buildApi(() => this.activeProfile),
+        profiles: () => this.profiles.map(profile => profile.name),
+        forProfile: (name) => {
+            const profile = this.profiles.find(candidate => candidate.name === name);
+            return profile ? this.buildApi(() => profile) : null;
+        },
+    };
+    private settingTab: WeeklyNoteSettingTab | null = null;
+    // Full ids of the generated per-profile commands, and the profile list they were built for
+    private profileCommandIds: string[] = [];
+    private profileCommandsKey = '';
+    // Settings changes arrive per keystroke, so the index is rebuilt and the calendar redrawn once they settle
+    private requestIndexRebuild = debounce(() => {
+        this.activeProfile.buildNoteIndex();
+        this.renderCalendarViews();
+    }, 1000, true);
+    // Frontmatter changes arrive in bursts (e.g. while typing in the properties), so redraw at most every 300ms
+    private requestCalendarRender = debounce(() => this.renderCalendarViews(), 300, true);
+
+    /**
+     * The profile the plain commands, the calendar, the API and the settings tab work on.
+     */
+    get activeProfile(): NoteProfile {
+        return this.profiles.find(profile => profile.id === this.activeProfileId) ?? this.profiles[0];
+    }
+
+    /**
+     * The settings of the active profile.
+     */
+    get settings(): WeeklyNotePluginSettings {
+        return this.activeProfile.settings;
+    }
+
+    /**
+     * Public method to process weekly notes in the active profile.
+     */
+    async processWeeklyNote() {
+        await this.activeProfile.processWeeklyNote();
+    }
+
+    /**
+     * Public method to process daily notes in the active profile.
+     */
+    async processDailyNote() {
+        await this.activeProfile.processDailyNote();
+    }
+
+    /**
+     * Public method to process monthly notes in the active profile.
+     */
+    async processMonthlyNote() {
+        await this.activeProfile.processMonthlyNote();
+    }
+
+    /**
+     * Public method to process quarterly notes in the active profile.
+     */
+    async processQuarterlyNote() {
+        await this.activeProfile.processQuarterlyNote();
+    }
+
+    /**
+     * Public method to process yearly notes in the active profile.
+     */
+    async processYearlyNote() {
+        await this.activeProfile.processYearlyNote();
+    }
+
+    /**
+     * Public method to process tomorrow's note in the active profile.
+     */
+    async processTomorrowNote() {
+        await this.activeProfile.processTomorrowNote();
+    }
+
+    /**
+     * Public method to process a note for an arbitrary date in the active profile.
+     * @param noteType The type of note to create or open
+     * @param date The date to create or open the note for.
+     */
+    async processNoteForDate(noteType: NoteType, date: Date) {
+        await this.activeProfile.processNoteForDate(noteType, date);
+    }
 
     /**
      * This method is called when the plugin is loaded.
@@ -367,12 +4886,239 @@ export default class WeeklyNotePlugin extends Plugin {
             },
         });
 
+        // Register create-or-open commands for the monthly, quarterly and yearly notes
+        const periodCommands: { noteType: NoteType; period: string; process: () => Promise<void> }[] = [
+            { noteType: 'monthly', period: 'Month', process: () => this.activeProfile.processMonthlyNote() },
+            { noteType: 'quarterly', period: 'Quarter', process: () => this.activeProfile.processQuarterlyNote() },
+            { noteType: 'yearly', period: 'Year', process: () => this.activeProfile.processYearlyNote() },
+        ];
+        for (const command of periodCommands) {
+            this.addCommand({
+                id: `create-or-open-${command.noteType}-note`,
+                name: `Create or Open ${NOTE_TYPE_LABELS[command.noteType]} Note for Current ${command.period}`,
+                callback: async () => {
+                    await command.process();
+                },
+            });
+        }
+
+        // Register a command that regenerates the rollup block of the active weekly note
+        this.addCommand({
+            id: 'refresh-weekly-rollup',
+            name: 'Refresh Weekly Rollup',
+            checkCallback: (checking: boolean) => {
+                const activeFile = this.app.workspace.getActiveFile();
+                const weekDate = activeFile ? this.activeProfile.getNoteDate('weekly', activeFile) : null;
+                if (!activeFile || !weekDate) {
+                    return false;
+                }
+                if (!checking) {
+                    this.activeProfile.refreshWeeklyRollup(activeFile, weekDate);
+                }
+                return true;
+            },
+        });
+
+        // Register a command that creates the notes of a date range at once
+        this.addCommand({
+            id: 'create-notes-for-date-range',
+            name: 'Create Notes for Date Range…',
+            callback: () => {
+                new BatchCreateModal(this.app, this.activeProfile).open();
+            },
+        });
+
+        // Register a command that moves existing notes into their configured folders
+        this.addCommand({
+            id: 'reorganize-existing-notes',
+            name: 'Reorganize Existing Notes',
+            callback: () => {
+                new ReorganizeNotesModal(this.app, this.activeProfile).open();
+            },
+        });
+
+        // Register a command that opens a note for a typed date
+        this.addCommand({
+            id: 'open-note-for-date',
+            name: 'Open Note for Date…',
+            callback: () => {
+                new DateInputModal(this.app, this.activeProfile).open();
+            },
+        });
+
+        // Register editor commands that insert a link to a periodic note at the cursor
+        const linkCommands: { id: string; name: string; noteType: NoteType }[] = [
+            { id: 'insert-link-to-today', name: 'Insert Link to Today\'s Note', noteType: 'daily' },
+            { id: 'insert-link-to-this-week', name: 'Insert Link to This Week\'s Note', noteType: 'weekly' },
+        ];
+        for (const command of linkCommands) {
+            this.addCommand({
+                id: command.id,
+                name: command.name,
+                editorCallback: (editor, context) => {
+                    const profile = this.activeProfile;
+                    editor.replaceSelection(profile.getPeriodicNoteLink(command.noteType, profile.getToday(), context.file?.path ?? ''));
+                },
+            });
+        }
+        this.addCommand({
+            id: 'insert-link-to-note-for-date',
+            name: 'Insert Link to Note for Date…',
+            editorCallback: (editor, context) => {
+                const profile = this.activeProfile;
+                new DateInputModal(this.app, profile, (noteType, date) => {
+                    editor.replaceSelection(profile.getPeriodicNoteLink(noteType, date, context.file?.path ?? ''));
+                }).open();
+            },
+        });
+
+        // Suggest links to periodic notes while typing @today, @monday, @week, ...
+        this.registerEditorSuggest(new PeriodicNoteSuggest(this.app, this));
+
+        // Register a command that picks a profile first, then opens a note for a typed date
+        this.addCommand({
+            id: 'open-note-in-profile',
+            name: 'Open Note in Profile…',
+            callback: () => {
+                new ProfileSuggestModal(this.app, this.profiles, profile => new DateInputModal(this.app, profile).open()).open();
+            },
+        });
+
+        // Register previous/next navigation commands. They are only available while
+        // a note whose filename matches the corresponding format is active.
+        const navigationCommands: { id: string; name: string; noteType: NoteType; direction: 1 | -1 }[] = [];
+        for (const noteType of NOTE_TYPES) {
+            const label = NOTE_TYPE_LABELS[noteType];
+            navigationCommands.push(
+                { id: `open-previous-${noteType}-note`, name: `Open Previous ${label} Note`, noteType, direction: -1 },
+                { id: `open-next-${noteType}-note`, name: `Open Next ${label} Note`, noteType, direction: 1 },
+            );
+        }
+        for (const command of navigationCommands) {
+            this.addCommand({
+                id: command.id,
+                name: command.name,
+                checkCallback: (checking: boolean) => {
+                    const activeDate = this.activeProfile.getActiveNoteDate(command.noteType);
+                    if (!activeDate) {
+                        return false;
+                    }
+                    if (!checking) {
+                        this.activeProfile.openAdjacentNote(command.noteType, activeDate, command.direction);
+                    }
+                    return true;
+                },
+            });
+        }
+
+        // Open notes from links outside Obsidian: obsidian://daily-weekly-notes?type=weekly&date=2026-10-19
+        // and obsidian://daily-weekly-notes?profile=Work&type=daily
+        this.registerObsidianProtocolHandler('daily-weekly-notes', async (params) => {
+            const noteType = (params.type || 'daily') as NoteType;
+            if (!NOTE_TYPES.includes(noteType)) {
+                new Notice(`Unknown note type "${params.type}". Use ${NOTE_TYPES.join(', ')}.`);
+                return;
+            }
+            const profile = params.profile ? this.profiles.find(candidate => candidate.name === params.profile) : this.activeProfile;
+            if (!profile) {
+                new Notice(`Unknown profile "${params.profile}".`);
+                return;
+            }
+            const parsed = profile.parseDateInput(params.date || 'today');
+            if (!parsed) {
+                new Notice(`Could not understand the date "${params.date}".`);
+                return;
+            }
+            await profile.processNote(noteType, parsed.date);
+        });
+
+        // Register the calendar sidebar view and a command to open it
+        this.registerView(VIEW_TYPE_CALENDAR, (leaf) => new CalendarView(leaf, this));
+
+        this.addCommand({
+            id: 'open-calendar-view',
+            name: 'Open Calendar',
+            callback: async () => {
+                await this.activateCalendarView();
+            },
+        });
+
+        // Register a command that reports missing notes and streaks
+        this.addCommand({
+            id: 'open-notes-report',
+            name: 'Periodic Notes Report…',
+            callback: () => {
+                new NotesReportModal(this.app, this.activeProfile).open();
+            },
+        });
+
+        // Register a command that lists periods with more than one note
+        this.addCommand({
+            id: 'find-duplicate-notes',
+            name: 'Find Duplicate Periodic Notes',
+            callback: () => {
+                new DuplicateNotesModal(this.app, this.activeProfile).open();
+            },
+        });
+
+        // Register "<Profile>: Open Today's Note" style commands when there are several profiles
+        this.updateProfileCommands();
+
+        // Build each profile's index of existing notes, then keep it up to date. The vault fires
+        // 'create' for every file while it loads, so the handlers are only registered afterwards.
+        this.app.workspace.onLayoutReady(() => {
+            this.profiles.forEach(profile => profile.buildNoteIndex());
+            this.registerEvent(this.app.vault.on('create', file => {
+                if (file instanceof TFile) {
+                    this.profiles.forEach(profile => profile.updateNoteIndex(file));
+                }
+            }));
+            this.registerEvent(this.app.vault.on('delete', file => {
+                this.profiles.forEach(profile => profile.removeFromNoteIndex(file.path));
+            }));
+            this.registerEvent(this.app.vault.on('rename', (file, oldPath) => {
+                for (const profile of this.profiles) {
+                    profile.removeFromNoteIndex(oldPath);
+                    if (file instanceof TFile) {
+                        profile.updateNoteIndex(file);
+                    }
+                }
+            }));
+            this.registerEvent(this.app.metadataCache.on('changed', file => {
+                this.profiles.forEach(profile => profile.updateNoteIndex(file));
+                this.requestCalendarRender();
+            }));
+        });
+
+        // Create the configured notes on startup, then check every minute whether a new day or week has begun
+        this.app.workspace.onLayoutReady(async () => {
+            await this.autoCreateNotes(true);
+            this.registerInterval(window.setInterval(() => this.autoCreateNotes(false), AUTO_CREATE_CHECK_INTERVAL_MS));
+        });
+
         // Add the settings tab to Obsidian's settings pane
-        this.addSettingTab(new WeeklyNoteSettingTab(this.app, this));
+        this.settingTab = new WeeklyNoteSettingTab(this.app, this);
+        this.addSettingTab(this.settingTab);
 
         console.log('Daily/Weekly Note Plugin loaded.');
     }
 
+    /**
+     * Opens the calendar view in the right sidebar, or reveals it if it is already open.
+     */
+    async activateCalendarView() {
+        let leaf = this.app.workspace.getLeavesOfType(VIEW_TYPE_CALENDAR)[0];
+        if (!leaf) {
+            const rightLeaf = this.app.workspace.getRightLeaf(false);
+            if (!rightLeaf) {
+                return;
+            }
+            leaf = rightLeaf;
+            await leaf.setViewState({ type: VIEW_TYPE_CALENDAR, active: true });
+        }
+        this.app.workspace.revealLeaf(leaf);
+    }
+
     /**
      * This method is called when the plugin is unloaded.
      * Any cleanup can be done here.
@@ -382,243 +5128,194 @@ export default class WeeklyNotePlugin extends Plugin {
     }
 
     /**
-     * Loads plugin settings from storage.
+     * Loads plugin settings from storage. Data saved before profiles existed holds a single
+     * set of settings; it becomes the "Default" profile.
      */
     async loadSettings() {
-        this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+        const data = await this.loadData() ?? {};
+        let configs: NoteProfileConfig[] = 'profiles' in data
+            ? (Array.isArray(data.profiles) ? data.profiles : [])
+            : [{ id: DEFAULT_PROFILE_ID, name: 'Default', settings: data }];
+
+        // Hand-edited data may contain broken or duplicate profiles; keep the usable ones
+        const ids = new Set<string>();
+        configs = configs.filter(config => {
+            const valid = typeof config === 'object' && config !== null
+                && typeof config.id === 'string' && config.id !== '' && !ids.has(config.id)
+                && typeof config.name === 'string';
+            if (valid) {
+                ids.add(config.id);
+            }
+            return valid;
+        });
+        if (configs.length === 0) {
+            configs = [{ id: DEFAULT_PROFILE_ID, name: 'Default', settings: DEFAULT_SETTINGS }];
+        }
+
+        this.profiles = configs.map(config => new NoteProfile(this.app, {
+            id: config.id,
+            name: config.name,
+            settings: Object.assign({}, DEFAULT_SETTINGS, config.settings),
+        }));
+        this.activeProfileId = this.profiles.some(profile => profile.id === data.activeProfileId)
+            ? data.activeProfileId
+            : this.profiles[0].id;
     }
 
     /**
-     * Saves plugin settings to storage.
+     * Saves the settings of all profiles to storage.
      */
     async saveSettings() {
-        await this.saveData(this.settings);
+        const data: PluginData = {
+            profiles: this.profiles.map(profile => profile.config),
+            activeProfileId: this.activeProfile.id,
+        };
+        await this.saveData(data);
+        this.requestIndexRebuild();
+        this.updateProfileCommands();
+        this.settingTab?.requestChecksUpdate();
     }
 
     /**
-     * Calculates the ISO week number of the year for a given date.
-     * Week 1 is the first week with at least 4 days in the new year, and it starts on a Monday.
-     * @param date The date to calculate the week of the year for.
-     * @returns The ISO week number (1-indexed).
+     * Switches the profile the plain commands, the calendar and the settings tab work on.
      */
-    getWeekOfYear(date: Date): number {
-        const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-        // Set to nearest Thursday: current date + 4 - current day number
-        // (Sunday is 0, Monday is 1 etc. - Thursday is 4)
-        d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
-        // Get first day of year
-        const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-        // Calculate full weeks to nearest Thursday
-        const weekNo = Math.ceil((((d.getTime() - yearStart.getTime()) / 86400000) + 1) / 7);
-        return weekNo;
+    async setActiveProfile(id: string) {
+        this.activeProfileId = id;
+        await this.saveSettings();
+        this.renderCalendarViews();
     }
 
     /**
-     * Calculates the start date (Monday) of the ISO week for a given date.
-     * @param date The date to calculate the week start for.
-     * @returns The Date object representing the Monday of that ISO week.
+     * Redraws every open calendar view, e.g. after the settings or the note index changed.
      */
-    getISOWeekStartDate(date: Date): Date {
-        const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-        // Set to nearest Thursday (as ISO week calculation uses Thursday as reference)
-        d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7)); // (d.getUTCDay() || 7) converts Sunday (0) to 7
-        // Now d is a Thursday in the target week. Subtract 3 days to get Monday.
-        d.setUTCDate(d.getUTCDate() - 3);
-        return d;
+    renderCalendarViews() {
+        for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE_CALENDAR)) {
+            if (leaf.view instanceof CalendarView) {
+                leaf.view.render();
+            }
+        }
     }
 
     /**
-     * Formats a Date object into a string based on a simple format string.
-     * Supports YYYY, MM, DD, dddd (full weekday name), MMMM (full month name), etc.
-     * @param date The Date object to format.
-     * @param format The format string (e.g., "YYYY-MM-DD", "dddd, MMMM DD, YYYY").
-     * @returns The formatted date string.
+     * Adds a profile that starts from a copy of the active profile's settings, and makes it active.
+     * @param name The display name of the new profile.
+     * @returns The new profile.
      */
-    formatDate(date: Date, format: string): string {
-        // Use UTC methods to be consistent with getISOWeekStartDate which uses UTC
-        const year = date.getUTCFullYear();
-        const month = (date.getUTCMonth() + 1); // Months are 0-indexed
-        const day = date.getUTCDate();
-        const dayOfWeek = date.getUTCDay(); // 0 for Sunday, 1 for Monday, etc.
-
-        const monthNames = ["January", "February", "March", "April", "May", "June",
-            "July", "August", "September", "October", "November", "December"];
-        const dayNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
-
-        let formattedString = format;
-
-        // Replace year
-        formattedString = formattedString.replace(/YYYY/g, year.toString());
-        formattedString = formattedString.replace(/YY/g, year.toString().slice(-2));
-
-        // Replace month
-        formattedString = formattedString.replace(/MMMM/g, monthNames[month - 1]); // Full month name
-        formattedString = formattedString.replace(/MMM/g, monthNames[month - 1].substring(0, 3)); // Short month name
-        formattedString = formattedString.replace(/MM/g, month.toString().padStart(2, '0')); // Padded month
-        formattedString = formattedString.replace(/M/g, month.toString()); // Unpadded month
-
-        // Replace day
-        formattedString = formattedString.replace(/DD/g, day.toString().padStart(2, '0')); // Padded day
-        formattedString = formattedString.replace(/D/g, day.toString()); // Unpadded day
-
-        // Replace weekday
-        formattedString = formattedString.replace(/dddd/g, dayNames[dayOfWeek]); // Full weekday name
-        formattedString = formattedString.replace(/ddd/g, dayNames[dayOfWeek].substring(0, 3)); // Short weekday name
-
-        return formattedString;
+    async addProfile(name: string): Promise<NoteProfile> {
+        const ids = new Set(this.profiles.map(profile => profile.id));
+        let index = this.profiles.length + 1;
+        while (ids.has(`profile-${index}`)) {
+            index++;
+        }
+        const profile = new NoteProfile(this.app, {
+            id: `profile-${index}`,
+            name,
+            settings: JSON.parse(JSON.stringify(this.settings)),
+        });
+        this.profiles.push(profile);
+        profile.buildNoteIndex();
+        await this.setActiveProfile(profile.id);
+        return profile;
     }
 
     /**
-     * Core logic to create or open a note.
-     * @param noteType 'daily' or 'weekly'
-     * @param targetDate Optional date to use instead of current date
-     */
-    private async processNote(noteType: 'daily' | 'weekly', targetDate?: Date) {
-        const now = targetDate || new Date();
-        const folderPath = this.settings.calendarFolderPath;
-        let fileName: string;
-        let templatePath: string;
-        let templateContent: string = '';
-        let replacements: { [key: string]: string } = {};
-
-        // Calculate week-related data always, as it might be used for daily notes too (e.g., week property/tag)
-        const weekOfYear = this.getWeekOfYear(now);
-        const weekStartDate = this.getISOWeekStartDate(now);
-        const formattedWeekStartDate = this.formatDate(weekStartDate, this.settings.weekStartDateFormat);
-
-        // Populate common replacements for both note types
-        replacements = {
-            '{{woy}}': weekOfYear.toString(),
-            '{{week_of_year}}': weekOfYear.toString(),
-            '{{wsd}}': formattedWeekStartDate,
-            '{{week_start_date}}': formattedWeekStartDate,
-            // Daily specific placeholder (always available, but only used if dailyDateFormat is set)
-            '{{date}}': this.formatDate(now, this.settings.dailyDateFormat),
-        };
+     * Replaces all settings of the active profile, e.g. with imported ones.
+     * @param settings The new settings.
+     */
+    async replaceSettings(settings: WeeklyNotePluginSettings) {
+        this.activeProfile.config.settings = settings;
+        await this.saveSettings();
+    }
 
-        if (noteType === 'weekly') {
-            fileName = this.settings.fileNameFormat;
-            templatePath = this.settings.weeklyTemplatePath;
-        } else { // noteType === 'daily'
-            fileName = this.settings.dailyFileNameFormat;
-            templatePath = this.settings.dailyTemplatePath;
+    /**
+     * Removes a profile. The last remaining profile cannot be removed.
+     * @param id The id of the profile to remove.
+     */
+    async removeProfile(id: string) {
+        if (this.profiles.length <= 1) {
+            return;
         }
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        await this.setActiveProfile(this.activeProfileId === id ? this.profiles[0].id : this.activeProfileId);
+    }
 
-        // Apply replacements to filename string
-        for (const placeholder in replacements) {
-            fileName = fileName.replace(new RegExp(placeholder, 'g'), replacements[placeholder as keyof typeof replacements]);
+    /**
+     * Registers the open commands of every profile when there is more than one profile, and
+     * replaces them whenever profiles are added, renamed or removed.
+     */
+    private updateProfileCommands() {
+        const key = this.profiles.length > 1
+            ? this.profiles.map(profile => `${profile.id}=${profile.name}`).join('\n')
+            : '';
+        if (key === this.profileCommandsKey) {
+            return;
         }
+        this.profileCommandsKey = key;
 
-        // Ensure the filename ends with .md if not already present
-        if (!fileName.endsWith('.md')) {
-            fileName += '.md';
+        for (const id of this.profileCommandIds) {
+            this.removeCommand(id);
         }
-
-        const fullPath = `${folderPath}/${fileName}`;
-
-        // 1. Ensure the target folder exists
-        let folder = this.app.vault.getAbstractFileByPath(folderPath);
-        if (!folder || !(folder instanceof TFolder)) {
-            console.log(`Folder '${folderPath}' does not exist. Creating it.`);
-            await this.app.vault.createFolder(folderPath);
+        this.profileCommandIds = [];
+        if (!key) {
+            return;
         }
 
-        // 2. Check if the note file already exists
-        let file = this.app.vault.getAbstractFileByPath(fullPath);
-
-        if (file instanceof TFile) {
-            // File exists, open it
-            console.log(`File '${fullPath}' already exists. Opening it.`);
-            this.app.workspace.openLinkText(fullPath, fullPath);
-        } else {
-            // File does not exist, create it from the template
-            console.log(`File '${fullPath}' does not exist. Creating it from template.`);
-            const templateFile = this.app.vault.getAbstractFileByPath(templatePath);
-
-            if (templateFile instanceof TFile) {
-                templateContent = await this.app.vault.read(templateFile);
-                console.log(`Template '${templatePath}' read successfully.`);
-            } else {
-                console.warn(`Template file not found at: ${templatePath}. Creating an empty file.`);
-                // Fallback: if template is not found, create a basic note
-                if (noteType === 'weekly') {
-                    templateContent = `# Weekly Note WO${weekOfYear}\n\n`;
-                } else { // Daily note fallback
-                    templateContent = `# Daily Note ${replacements['{{date}']}\n\n`;
-                }
-            }
-
-            // Replace all placeholders in template content
-            for (const placeholder in replacements) {
-                templateContent = templateContent.replace(new RegExp(placeholder, 'g'), replacements[placeholder as keyof typeof replacements]);
-            }
-
-            // --- Apply Week Property to frontmatter (applies to both daily and weekly if enabled) ---
-            if (this.settings.addWeekProperty) {
-                const weekPropertyLine = `${this.settings.weekPropertyName}: ${weekOfYear}`;
-                const lines = templateContent.split('\n');
-
-                if (lines.length > 0 && lines[0].trim() === '---') {
-                    // Check if there's a closing '---'
-                    let closingDashIndex = -1;
-                    for (let i = 1; i < lines.length; i++) {
-                        if (lines[i].trim() === '---') {
-                            closingDashIndex = i;
-                            break;
-                        }
-                    }
-
-                    if (closingDashIndex !== -1) {
-                        // Insert property before the closing '---'
-                        lines.splice(closingDashIndex, 0, weekPropertyLine);
-                        templateContent = lines.join('\n');
-                    } else {
-                        // No closing '---' found, append after the opening one
-                        // This case handles malformed templates or templates without a closing '---'
-                        lines.splice(1, 0, weekPropertyLine);
-                        templateContent = lines.join('\n');
-                    }
-                } else {
-                    // No frontmatter found, prepend a new block
-                    templateContent = `---\n${weekPropertyLine}\n---\n\n` + templateContent;
-                }
-            }
-
-            // --- Apply Week Tag (applies to both daily and weekly if enabled) ---
-            if (this.settings.addWeekTag) {
-                const weekTag = `#${this.settings.weekTagPrefix}${weekOfYear}`;
-                templateContent += `\n\n${weekTag}`;
+        const commands: { suffix: string; name: string; process: (profile: NoteProfile) => Promise<void> }[] = [
+            { suffix: 'daily', name: 'Open Today\'s Note', process: profile => profile.processDailyNote() },
+            { suffix: 'tomorrow', name: 'Open Tomorrow\'s Note', process: profile => profile.processTomorrowNote() },
+            { suffix: 'weekly', name: 'Open This Week\'s Note', process: profile => profile.processWeeklyNote() },
+            { suffix: 'monthly', name: 'Open This Month\'s Note', process: profile => profile.processMonthlyNote() },
+            { suffix: 'quarterly', name: 'Open This Quarter\'s Note', process: profile => profile.processQuarterlyNote() },
+            { suffix: 'yearly', name: 'Open This Year\'s Note', process: profile => profile.processYearlyNote() },
+        ];
+        for (const profile of this.profiles) {
+            for (const command of commands) {
+                const id = `profile-${profile.id}-${command.suffix}`;
+                this.addCommand({
+                    id,
+                    name: `${profile.name}: ${command.name}`,
+                    callback: async () => {
+                        await command.process(profile);
+                    },
+                });
+                // removeCommand() expects the id including the plugin id prefix
+                this.profileCommandIds.push(`${this.manifest.id}:${id}`);
             }
-
-            // Create the new file
-            const newFile = await this.app.vault.create(fullPath, templateContent);
-            console.log(`New file '${fullPath}' created.`);
-
-            // Open the newly created file
-            this.app.workspace.openLinkText(newFile.path, newFile.path);
         }
     }
 
     /**
-     * Public method to process weekly notes.
-     */
-    async processWeeklyNote() {
-        await this.processNote('weekly');
-    }
-
-    /**
-     * Public method to process daily notes.
+     * Runs automatic note creation for every profile.
+     * @param startup True when Obsidian starts (see NoteProfile.autoCreateNotes).
      */
-    async processDailyNote() {
-        await this.processNote('daily');
+    private async autoCreateNotes(startup: boolean) {
+        // Only the first note opened replaces the active tab; the others get tabs of their own
+        let opened = false;
+        for (const profile of this.profiles) {
+            try {
+                opened = await profile.autoCreateNotes(startup, opened) || opened;
+            } catch (error) {
+                console.error(`Automatic note creation failed for profile "${profile.name}":`, error);
+            }
+        }
     }
 
     /**
-     * Public method to process tomorrow's note.
+     * Builds the public API on top of a profile.
+     * @param getProfile Returns the profile to use; called on every API call.
      */
-    async processTomorrowNote() {
-        const now = new Date();
-        const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-        await this.processNote('daily', tomorrow);
+    private buildApi(getProfile: () => NoteProfile): DailyWeeklyNotesApi {
+        return {
+            getNotePath: (noteType, date) => getProfile().getNotePath(noteType, getProfile().toCalendarDate(date)),
+            getNote: (noteType, date) => getProfile().findNote(noteType, getProfile().toCalendarDate(date)),
+            createNote: (noteType, date, options = {}) =>
+                getProfile().processNote(noteType, getProfile().toCalendarDate(date), options.open ?? false),
+            getWeekInfo: (date) => {
+                const profile = getProfile();
+                const week = profile.getWeekInfo(profile.toCalendarDate(date));
+                return { ...week, start: profile.toLocalDate(week.start), end: profile.toLocalDate(week.end) };
+            },
+            formatDate: (date, format) => getProfile().formatDate(getProfile().toCalendarDate(date), format),
+        };
     }
 }